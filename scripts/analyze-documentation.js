@@ -18,6 +18,10 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { glob } from 'glob';
 
+import { fail, finish, parseCommandArgs } from './lib/cli.js';
+
+const { positionals } = parseCommandArgs('analyze');
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Patterns that indicate Camunda-specific screenshots
@@ -317,7 +321,7 @@ async function main() {
   console.log(`${'═'.repeat(60)}\n`);
 
   // Get docs path from command line or use default
-  const docsPath = process.argv[2] || '../../docs';
+  const docsPath = positionals[0] || '../../docs';
 
   console.log(`Scanning: ${docsPath}\n`);
 
@@ -362,9 +366,8 @@ async function main() {
   console.log(`  - ${jsonPath}`);
   console.log(`  - ${mdPath}`);
   console.log('');
+
+  finish({ docsPath, summary: report.summary, files: { json: jsonPath, markdown: mdPath } });
 }
 
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+main().catch(fail);
@@ -13,275 +13,471 @@
  * 4. Organize output for documentation
  */
 
-import 'dotenv/config';
 import puppeteer from 'puppeteer';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import axios from 'axios';
+
+import { auditPage, resolveAuditOptions, writeAccessibilityReport } from './lib/accessibility.js';
+import { executeActions } from './lib/actions.js';
+import { applyAnnotations, removeAnnotations } from './lib/annotations.js';
+import { EXIT_CODES, fail, finish, listValues, parseCommandArgs } from './lib/cli.js';
+import { compareScreenshot } from './lib/compare.js';
+import { loadConfig } from './lib/config.js';
+import { createRecorder } from './lib/failures.js';
+import { writeGallery } from './lib/gallery.js';
+import { createManifest, manifestEntry, writeManifest } from './lib/manifest.js';
+import { applyLocale, expandLocales, loadLocaleFixtures, localizeLabels } from './lib/locales.js';
+import { DEFAULT_OUTPUTS, writeOutputs } from './lib/outputs.js';
+import { recordActions } from './lib/recording.js';
+import { applyRenderSettings, applyZoom, resolveRenderSettings } from './lib/render.js';
+import { createRequirementsChecker } from './lib/requirements.js';
+import { createRestClient } from './lib/rest-client.js';
+import {
+  changedScreenshotIds,
+  loadConfigAtRevision,
+  parseFilters,
+  selectScreenshots,
+} from './lib/selection.js';
+import { createSession } from './lib/session.js';
+import { trackRequests, waitForStable } from './lib/stability.js';
+import { pinClock, stabilizeContent } from './lib/stabilize.js';
+import { createVariableResolver } from './lib/variables.js';
+
+const { options } = parseCommandArgs('capture');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const CONFIG_PATH = path.join(__dirname, '../config/screenshots.json');
+const CONFIG_PATH = process.env.CONFIG_PATH || path.join(__dirname, '../config/screenshots.json');
+const LOCALES_DIR = path.join(__dirname, '../config/locales');
 const OUTPUT_DIR = process.env.OUTPUT_DIR || path.join(__dirname, '../output/screenshots');
+const BASELINE_DIR = process.env.BASELINE_DIR || path.join(__dirname, '../baseline');
+const DIFF_DIR = process.env.DIFF_DIR || path.join(__dirname, '../output/diff');
+const FAILURES_DIR = process.env.FAILURES_DIR || path.join(__dirname, '../output/failures');
+const SESSION_FILE = process.env.SESSION_FILE || path.join(__dirname, '../.cache/session.json');
+
+// Command line options
+const updateBaseline = Boolean(options['update-baseline']);
+const compareMode = Boolean(options.compare) || updateBaseline;
+const freshLogin = Boolean(options['fresh-login']);
+const auditMode = Boolean(options.audit) || process.env.AUDIT === 'true';
+const filters = parseFilters(options);
+const onlyLocales = listValues(options.locale);
+const concurrency = parseInt(options.concurrency || process.env.CONCURRENCY) || 1;
 
 // Configuration
 const config = {
   baseUrl: process.env.OPERATON_BASE_URL || 'https://operaton-doc.open-regels.nl',
-  restUrl: process.env.OPERATON_REST_URL || 'https://operaton-doc.open-regels.nl/engine-rest',
   username: process.env.OPERATON_USERNAME || 'demo',
   password: process.env.OPERATON_PASSWORD || 'demo',
-  viewport: {
-    width: parseInt(process.env.SCREENSHOT_WIDTH) || 1920,
-    height: parseInt(process.env.SCREENSHOT_HEIGHT) || 1080,
+  // Render overrides; config defaults apply when these are not set
+  render: {
+    viewport: {
+      width: parseInt(process.env.SCREENSHOT_WIDTH) || undefined,
+      height: parseInt(process.env.SCREENSHOT_HEIGHT) || undefined,
+    },
+    deviceScaleFactor: parseFloat(process.env.SCREENSHOT_SCALE) || undefined,
   },
-  deviceScaleFactor: parseInt(process.env.SCREENSHOT_SCALE) || 2,
   headless: process.env.HEADLESS !== 'false',
-  debug: process.env.DEBUG === 'true',
+  debug: process.env.DEBUG === 'true' || Boolean(options.verbose),
 };
 
-// API client for dynamic data
-const api = axios.create({
-  baseURL: config.restUrl,
-  auth: {
-    username: config.username,
-    password: config.password,
-  },
-});
+// REST client for dynamic variables and requirements
+const api = createRestClient();
 
 /**
- * Get dynamic data needed for screenshots
+ * Version of the Operaton engine, or null if it cannot be determined
  */
-async function getDynamicData() {
-  const data = {
-    processInstances: [],
-    tasks: [],
-    decisionInstances: [],
-  };
-
+async function getOperatonVersion() {
   try {
-    // Get running process instances
-    const instances = await api.get('/process-instance', { params: { maxResults: 10 } });
-    data.processInstances = instances.data;
-
-    // Get tasks
-    const tasks = await api.get('/task', { params: { maxResults: 10 } });
-    data.tasks = tasks.data;
-
-    // Get decision instances
-    const decisions = await api.get('/history/decision-instance', { params: { maxResults: 10 } });
-    data.decisionInstances = decisions.data;
-  } catch (error) {
-    console.warn('Warning: Could not fetch dynamic data:', error.message);
+    return await api.version();
+  } catch {
+    return null;
   }
-
-  return data;
 }
 
 /**
- * Login to Operaton
+ * Login to Operaton using the login form on the current page
  */
-async function login(page, app = 'cockpit') {
-  const loginUrl = `${config.baseUrl}/operaton/app/${app}/default/`;
+async function login(page, app) {
+  console.log(`  Logging in to ${app}...`);
 
-  console.log(`  Navigating to: ${loginUrl}`);
-  await page.goto(loginUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-
-  // Wait for login form or check if already logged in
   try {
-    // Check if we're on the login page
-    const loginForm = await page.$('form[name="login"]');
-    if (loginForm) {
-      console.log('  Logging in...');
-
-      // Fill in credentials
-      await page.type('input[name="username"]', config.username);
-      await page.type('input[name="password"]', config.password);
-
-      // Submit form
-      await Promise.all([
-        page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }),
-        page.click('button[type="submit"]'),
-      ]);
-
-      console.log('  ✓ Logged in successfully');
-    } else {
-      console.log('  ✓ Already logged in');
-    }
+    // Fill in credentials
+    await page.type('input[name="username"]', config.username);
+    await page.type('input[name="password"]', config.password);
+
+    // Submit form
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }),
+      page.click('button[type="submit"]'),
+    ]);
+
+    console.log('  ✓ Logged in successfully');
   } catch (error) {
     console.warn('  ⚠ Login handling:', error.message);
   }
 
   // Wait for app to load
-  await page.waitForTimeout(2000);
+  await waitForRender(page);
+}
+
+/**
+ * Wait until the page has finished rendering, warning about unmet conditions
+ */
+async function waitForRender(page, timeout) {
+  const { stable, unmet, elapsed } = await waitForStable(page, { timeout });
+  if (!stable) {
+    console.warn(`  ⚠ Page not stable after ${elapsed}ms: ${unmet.join('; ')}`);
+  }
+}
+
+/**
+ * Webapp name (cockpit, tasklist, admin, welcome) of a category
+ */
+function appForCategory(category) {
+  return category.baseUrl.match(/\/app\/([^/]+)\//)?.[1] || 'cockpit';
+}
+
+/**
+ * Absolute URL of a webapp path
+ */
+function absoluteUrl(path) {
+  return path.startsWith('http') ? path : `${config.baseUrl}${path}`;
 }
 
 /**
  * Navigate to a specific page within an app
  */
-async function navigateTo(page, path, waitForSelector = null) {
-  const url = path.startsWith('http') ? path : `${config.baseUrl}${path}`;
+async function navigateTo(page, path, waitForSelector = null, render = {}) {
+  const { waitTimeout = 10000, stabilityTimeout } = render;
+  const url = absoluteUrl(path);
 
   console.log(`  Navigating to: ${url}`);
   await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
 
   if (waitForSelector) {
     try {
-      await page.waitForSelector(waitForSelector, { timeout: 10000 });
+      await page.waitForSelector(waitForSelector, { timeout: waitTimeout });
     } catch {
       console.warn(`  ⚠ Selector not found: ${waitForSelector}`);
     }
   }
 
-  // Give page time to fully render
-  await page.waitForTimeout(1500);
+  await waitForRender(page, stabilityTimeout);
 }
 
 /**
- * Take a screenshot
+ * Take a screenshot and write all configured output variants
  */
-async function takeScreenshot(page, outputPath, options = {}) {
-  const fullPath = path.join(OUTPUT_DIR, outputPath);
-
-  // Ensure directory exists
-  await fs.mkdir(path.dirname(fullPath), { recursive: true });
-
+async function takeScreenshot(page, outputFile, options = {}) {
   const screenshotOptions = {
-    path: fullPath,
     type: 'png',
-    ...options,
+    fullPage: options.fullPage,
   };
 
   // If selector is specified, screenshot just that element
+  let rendered;
   if (options.selector) {
     const element = await page.$(options.selector);
     if (element) {
-      await element.screenshot({ path: fullPath });
+      rendered = await element.screenshot({ type: 'png' });
     } else {
       console.warn(`  ⚠ Element not found: ${options.selector}`);
-      await page.screenshot(screenshotOptions);
+      rendered = await page.screenshot(screenshotOptions);
     }
   } else {
-    await page.screenshot(screenshotOptions);
+    rendered = await page.screenshot(screenshotOptions);
   }
 
-  console.log(`  ✓ Screenshot saved: ${outputPath}`);
-  return fullPath;
+  const files = await writeOutputs(Buffer.from(rendered), outputFile, options.outputs, {
+    outputDir: OUTPUT_DIR,
+    deviceScaleFactor: options.deviceScaleFactor,
+  });
+
+  for (const file of files) {
+    console.log(`  ✓ Screenshot saved: ${file.path} (${file.width}x${file.height})`);
+  }
+  return files;
 }
 
 /**
- * Execute custom actions before taking screenshot
+ * Screenshot id for log output, with its locale if it has one
  */
-async function executeActions(page, actions) {
-  for (const action of actions) {
-    switch (action) {
-      case 'enableHeatmap':
-        // Click heatmap toggle if available
-        try {
-          await page.click('[cam-widget-search-pill-action="toggleHeatmap"]');
-          await page.waitForTimeout(1000);
-        } catch {
-          console.warn('  ⚠ Heatmap toggle not found');
-        }
-        break;
-
-      case 'openCreateFilterDialog':
-        try {
-          await page.click('[ng-click="createFilter()"]');
-          await page.waitForSelector('.modal-dialog', { timeout: 5000 });
-          await page.waitForTimeout(500);
-        } catch {
-          console.warn('  ⚠ Create filter dialog not found');
-        }
-        break;
-
-      case 'openFilterDetail':
-        try {
-          await page.click('.filter-name');
-          await page.waitForTimeout(500);
-        } catch {
-          console.warn('  ⚠ Filter detail not found');
-        }
-        break;
-
-      default:
-        console.warn(`  ⚠ Unknown action: ${action}`);
-    }
-  }
+function label(screenshot) {
+  return screenshot.locale ? `${screenshot.id} [${screenshot.locale}]` : screenshot.id;
 }
 
 /**
- * Resolve variables in URL path
+ * Translate data labels for localized captures
  */
-function resolvePath(pathTemplate, variables, dynamicData) {
-  let resolvedPath = pathTemplate;
+async function localizeData(page, screenshot, fixtures) {
+  if (!screenshot.locale) return;
 
-  // Replace static variables
-  for (const [key, value] of Object.entries(variables || {})) {
-    resolvedPath = resolvedPath.replace(`{${key}}`, value);
-  }
-
-  // Replace dynamic variables
-  if (resolvedPath.includes('{processInstanceId}') && dynamicData.processInstances.length > 0) {
-    resolvedPath = resolvedPath.replace('{processInstanceId}', dynamicData.processInstances[0].id);
-  }
+  const changed = await localizeLabels(page, await fixtures(screenshot.locale));
+  if (changed > 0) console.log(`  ✓ Localized ${changed} data label(s)`);
+}
 
-  if (resolvedPath.includes('{taskId}') && dynamicData.tasks.length > 0) {
-    resolvedPath = resolvedPath.replace('{taskId}', dynamicData.tasks[0].id);
-  }
+/**
+ * Run the accessibility audit for a screenshot
+ *
+ * Returns the violations, or undefined if the screenshot is not audited or
+ * the audit could not run.
+ */
+async function auditScreenshot(page, screenshot, defaults) {
+  const options = resolveAuditOptions(screenshot, defaults);
+  if (!options) return undefined;
 
-  if (resolvedPath.includes('{decisionInstanceId}') && dynamicData.decisionInstances.length > 0) {
-    resolvedPath = resolvedPath.replace(
-      '{decisionInstanceId}',
-      dynamicData.decisionInstances[0].id
-    );
+  try {
+    const violations = await auditPage(page, options);
+    const nodes = violations.reduce((sum, violation) => sum + violation.nodes.length, 0);
+    console.log(`  ♿ ${violations.length} accessibility violation(s) on ${nodes} element(s)`);
+    return violations;
+  } catch (error) {
+    console.warn(`  ⚠ Accessibility audit failed: ${error.message}`);
+    return undefined;
   }
-
-  return resolvedPath;
 }
 
 /**
  * Process a single screenshot definition
+ *
+ * Returns `{ status, reason }` where status is 'captured', 'skipped' or 'failed'.
  */
-async function captureScreenshot(page, screenshot, configData, dynamicData) {
-  console.log(`\n📸 ${screenshot.id}: ${screenshot.description}`);
+async function captureScreenshot(page, screenshot, context) {
+  const { configData, resolver, requirements, session, recorder, fixtures } = context;
+
+  console.log(`\n📸 ${label(screenshot)}: ${screenshot.description}`);
 
   const category = configData.categories[screenshot.category];
   if (!category) {
     console.error(`  ✗ Unknown category: ${screenshot.category}`);
-    return false;
+    return { status: 'failed', reason: `unknown category ${screenshot.category}` };
+  }
+
+  // Check data prerequisites before spending time on the page
+  let prerequisites;
+  if (screenshot.requirements) {
+    prerequisites = await requirements.check(screenshot.requirements);
+    const { met, unmet } = prerequisites;
+    if (!met) {
+      const policy =
+        screenshot.onUnmetRequirements || configData.defaults?.onUnmetRequirements || 'skip';
+      const reason = `requirements not met: ${unmet.join('; ')}`;
+      if (policy === 'fail') {
+        console.error(`  ✗ ${reason}`);
+        return { status: 'failed', reason, requirements: prerequisites };
+      }
+      console.warn(`  ⊘ Skipping - ${reason}`);
+      return { status: 'skipped', reason, requirements: prerequisites };
+    }
   }
 
   // Build full URL
-  const resolvedPath = resolvePath(screenshot.path, screenshot.variables, dynamicData);
+  const {
+    path: resolvedPath,
+    variables,
+    errors,
+  } = await resolver.resolve(screenshot.path, screenshot);
 
   // Check if path has unresolved variables
-  if (resolvedPath.includes('{')) {
-    console.warn(`  ⚠ Skipping - unresolved variables in path: ${resolvedPath}`);
-    return false;
+  if (errors.length > 0) {
+    const reason = `unresolved variables in path ${resolvedPath}: ${errors.join('; ')}`;
+    console.warn(`  ⊘ Skipping - ${reason}`);
+    return {
+      status: 'skipped',
+      reason,
+      variables,
+      requirements: prerequisites,
+    };
   }
 
   const fullPath = `${category.baseUrl}${resolvedPath}`;
+  const target = { url: absoluteUrl(fullPath), variables, requirements: prerequisites };
+  const app = appForCategory(category);
+  recorder.reset();
 
   try {
+    // Enter the webapp, logging in only if there is no valid session;
+    // recording starts afterwards so the login is not in the artifacts
+    await session.ensure(app, absoluteUrl(`${category.baseUrl}/`));
+    recorder.reset();
+
+    // Webapp language (reloads the page when it changes)
+    if (await applyLocale(page, screenshot.locale || null)) {
+      console.log(`  Language: ${screenshot.locale || 'browser default'}`);
+    }
+
+    // Viewport, scale factor and emulated media for this screenshot
+    const render = resolveRenderSettings(screenshot, configData.defaults, config.render);
+    await applyRenderSettings(page, render);
+
     // Navigate to page
-    await navigateTo(page, fullPath, screenshot.waitForSelector);
+    await navigateTo(page, fullPath, screenshot.waitForSelector, render);
+
+    // Session expired in the meantime: log in again and retry
+    if (await session.isLoginPage()) {
+      console.log('  Session expired');
+      await session.relogin(app);
+      recorder.reset();
+      await navigateTo(page, fullPath, screenshot.waitForSelector, render);
+    }
+
+    await applyZoom(page, render.zoom);
+
+    // Recordings run their actions while the screencast is running
+    if (screenshot.type === 'recording') {
+      await stabilizeContent(page, screenshot, configData.defaults);
+      await localizeData(page, screenshot, fixtures);
+      const files = await recordActions(page, screenshot, {
+        outputDir: OUTPUT_DIR,
+        macros: configData.macros,
+        defaults: configData.defaults,
+      });
+      return { status: 'captured', files, ...target };
+    }
 
     // Execute any pre-screenshot actions
     if (screenshot.actions) {
-      await executeActions(page, screenshot.actions);
+      await executeActions(page, screenshot.actions, configData.macros);
+      await waitForRender(page, render.stabilityTimeout);
+    }
+
+    // Accessibility audit of the stable page, before masks and annotations change it
+    const accessibility = auditMode
+      ? await auditScreenshot(page, screenshot, configData.defaults)
+      : undefined;
+
+    // Blank or rewrite volatile content (IDs, timestamps)
+    await stabilizeContent(page, screenshot, configData.defaults);
+    await localizeData(page, screenshot, fixtures);
+
+    // Draw callouts, arrows and highlight boxes
+    if (screenshot.annotations?.length > 0) {
+      const missing = await applyAnnotations(page, screenshot.annotations);
+      missing.forEach(selector => console.warn(`  ⚠ Annotation not drawn: ${selector}`));
     }
 
     // Take screenshot
-    await takeScreenshot(page, screenshot.outputFile, {
+    const files = await takeScreenshot(page, screenshot.outputFile, {
       selector: screenshot.selector,
       fullPage: screenshot.fullPage,
+      outputs: screenshot.outputs || configData.defaults?.outputs || DEFAULT_OUTPUTS,
+      deviceScaleFactor: render.deviceScaleFactor,
     });
 
-    return true;
+    if (screenshot.annotations?.length > 0) {
+      await removeAnnotations(page);
+    }
+
+    return { status: 'captured', files, accessibility, ...target };
   } catch (error) {
     console.error(`  ✗ Failed: ${error.message}`);
-    return false;
+
+    const artifacts = path.join(FAILURES_DIR, screenshot.id, screenshot.locale || '');
+    try {
+      await recorder.save(artifacts, error);
+      console.error(`  Failure artifacts: ${path.relative(process.cwd(), artifacts)}`);
+      return { status: 'failed', reason: error.message, artifacts, ...target };
+    } catch (saveError) {
+      console.warn(`  ⚠ Could not save failure artifacts: ${saveError.message}`);
+      return { status: 'failed', reason: error.message, ...target };
+    }
+  }
+}
+
+/**
+ * Compare a captured screenshot with its baseline and optionally promote it
+ *
+ * The first PNG output variant is compared; returns null if there is none.
+ * `baselinePath` is set while the previous baseline is still on disk.
+ */
+async function compareWithBaseline(screenshot, configData, files) {
+  const primary = files.find(file => file.format === 'png');
+  if (!primary) {
+    console.warn('  ⚠ No PNG output to compare');
+    return null;
+  }
+
+  const baselinePath = path.join(BASELINE_DIR, primary.path);
+  const comparison = await compareScreenshot(
+    path.join(OUTPUT_DIR, primary.path),
+    baselinePath,
+    path.join(DIFF_DIR, primary.path),
+    { ...configData.defaults?.compare, ...screenshot.compare }
+  );
+
+  switch (comparison.status) {
+    case 'pass':
+      console.log('  ✓ Matches baseline');
+      break;
+    case 'changed':
+      console.log(`  ≠ Changed: ${comparison.reason}`);
+      break;
+    default:
+      console.log('  + New screenshot (no baseline)');
+  }
+
+  if (updateBaseline && comparison.status !== 'pass') {
+    await fs.mkdir(path.dirname(baselinePath), { recursive: true });
+    await fs.copyFile(path.join(OUTPUT_DIR, primary.path), baselinePath);
+    console.log('  ✓ Baseline updated');
+    return { ...comparison, baselineUpdated: true };
+  }
+
+  return comparison.status === 'new' ? comparison : { ...comparison, baselinePath };
+}
+
+/**
+ * Open a worker: an isolated browser context with its own page and session
+ */
+async function openWorker(browser, configData) {
+  const context = await browser.createBrowserContext();
+  const page = await context.newPage();
+  trackRequests(page);
+  const recorder = createRecorder(page);
+
+  // Set default viewport; screenshots may override it
+  await applyRenderSettings(page, resolveRenderSettings({}, configData.defaults, config.render));
+
+  // Pin the browser clock for reproducible dates
+  if (configData.defaults?.clock) {
+    await pinClock(page, configData.defaults.clock);
+  }
+
+  // Reuse the session of a previous run
+  const session = createSession(page, {
+    file: SESSION_FILE,
+    baseUrl: config.baseUrl,
+    username: config.username,
+    login,
+  });
+  if (!freshLogin) {
+    const restored = await session.restore();
+    if (restored > 0) {
+      console.log(`  Restored ${restored} session cookie(s)`);
+    }
+  }
+
+  return { page, session, recorder };
+}
+
+/**
+ * Capture one screenshot on a worker and compare it with the baseline
+ */
+async function processScreenshot(worker, screenshot, shared) {
+  const started = Date.now();
+  const outcome = await captureScreenshot(worker.page, screenshot, {
+    ...shared,
+    session: worker.session,
+    recorder: worker.recorder,
+  });
+
+  if (outcome.status === 'captured' && compareMode && screenshot.type !== 'recording') {
+    outcome.comparison = await compareWithBaseline(screenshot, shared.configData, outcome.files);
   }
+
+  outcome.duration = Date.now() - started;
+  return outcome;
 }
 
 /**
@@ -293,17 +489,64 @@ async function main() {
   console.log('═'.repeat(60));
   console.log(`\nTarget: ${config.baseUrl}`);
   console.log(`Output: ${OUTPUT_DIR}`);
-  console.log(`Headless: ${config.headless}\n`);
+  console.log(`Headless: ${config.headless}`);
+  if (compareMode) {
+    console.log(`Baseline: ${BASELINE_DIR}`);
+  }
+  console.log('');
+  const startedAt = new Date().toISOString();
 
   // Load configuration
-  const configData = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf8'));
+  const configData = await loadConfig(CONFIG_PATH);
 
-  // Get dynamic data
-  console.log('📊 Fetching dynamic data...');
-  const dynamicData = await getDynamicData();
-  console.log(`  Process instances: ${dynamicData.processInstances.length}`);
-  console.log(`  Tasks: ${dynamicData.tasks.length}`);
-  console.log(`  Decision instances: ${dynamicData.decisionInstances.length}`);
+  // Select screenshots
+  let changedIds = null;
+  if (filters.changedSince) {
+    try {
+      const previous = await loadConfigAtRevision(CONFIG_PATH, filters.changedSince);
+      changedIds = changedScreenshotIds(configData, previous);
+    } catch (error) {
+      console.error(`✗ Cannot read config at ${filters.changedSince}: ${error.message}`);
+      finish({ error: error.message }, EXIT_CODES.INVALID_CONFIG);
+    }
+  }
+
+  for (const category of filters.categories) {
+    if (!configData.categories[category]) {
+      console.warn(`⚠ Unknown category: ${category}`);
+    }
+  }
+
+  const selected = selectScreenshots(configData.screenshots, filters, changedIds);
+  const screenshots = expandLocales(selected, configData.defaults, onlyLocales);
+  console.log(`Selected ${selected.length} of ${configData.screenshots.length} screenshot(s)`);
+  if (screenshots.length !== selected.length) {
+    console.log(`  ${screenshots.length} capture(s) across locales`);
+  }
+  console.log('');
+
+  if (screenshots.length === 0) {
+    console.log('Nothing to capture.');
+    finish({ captured: [], skipped: [], failed: [] });
+  }
+
+  const operatonVersion = await getOperatonVersion();
+  console.log(`Operaton version: ${operatonVersion || 'unknown'}`);
+
+  const resolver = createVariableResolver(api);
+
+  // Locale fixtures, loaded once per locale
+  const fixtureCache = new Map();
+  const fixtures = locale => {
+    if (!fixtureCache.has(locale)) {
+      fixtureCache.set(locale, loadLocaleFixtures(LOCALES_DIR, locale));
+    }
+    return fixtureCache.get(locale);
+  };
+
+  const requirements = createRequirementsChecker(api, configData);
+
+  const { viewport } = resolveRenderSettings({}, configData.defaults, config.render);
 
   // Launch browser
   console.log('\n🌐 Launching browser...');
@@ -313,51 +556,59 @@ async function main() {
       '--no-sandbox',
       '--disable-setuid-sandbox',
       '--disable-dev-shm-usage',
-      `--window-size=${config.viewport.width},${config.viewport.height}`,
+      `--window-size=${viewport.width},${viewport.height}`,
     ],
   });
 
-  const page = await browser.newPage();
+  // Open one isolated browser context per worker
+  const workerCount = Math.max(1, Math.min(concurrency, screenshots.length));
+  if (workerCount > 1) {
+    console.log(`  Concurrency: ${workerCount} browser contexts`);
+  }
+  if (configData.defaults?.clock) {
+    console.log(`  Clock pinned to: ${configData.defaults.clock}`);
+  }
 
-  // Set viewport
-  await page.setViewport({
-    width: config.viewport.width,
-    height: config.viewport.height,
-    deviceScaleFactor: config.deviceScaleFactor,
-  });
-
-  // Track results
-  const results = {
-    captured: [],
-    skipped: [],
-    failed: [],
-  };
+  const outcomes = new Array(screenshots.length);
+  const workers = [];
+  // Set when the REST circuit opens: workers stop, and the run fails once
+  // the browser is closed and the reports are written
+  let circuitError = null;
 
   try {
-    // Login to Cockpit first
-    console.log('\n🔐 Logging in to Cockpit...');
-    await login(page, 'cockpit');
-
-    // Process each screenshot
-    for (const screenshot of configData.screenshots) {
-      // Check if we need to switch apps
-      const category = configData.categories[screenshot.category];
-
-      // Simple app switching - just navigate to the right app
-      if (category.baseUrl.includes('/tasklist/')) {
-        await login(page, 'tasklist');
-      } else if (category.baseUrl.includes('/admin/')) {
-        await login(page, 'admin');
-      } else if (category.baseUrl.includes('/welcome/')) {
-        await login(page, 'welcome');
-      }
-
-      const success = await captureScreenshot(page, screenshot, configData, dynamicData);
+    for (let i = 0; i < workerCount; i++) {
+      workers.push(await openWorker(browser, configData));
+    }
 
-      if (success) {
-        results.captured.push(screenshot.id);
-      } else {
-        results.failed.push(screenshot.id);
+    // Workers pull the next screenshot until none are left; a worker that
+    // fails stops on its own, the others finish before the browser closes
+    let next = 0;
+    const settled = await Promise.allSettled(
+      workers.map(async worker => {
+        while (next < screenshots.length && !circuitError) {
+          const index = next++;
+          try {
+            outcomes[index] = await processScreenshot(worker, screenshots[index], {
+              configData,
+              resolver,
+              fixtures,
+              requirements,
+            });
+          } catch (error) {
+            if (error.name === 'CircuitOpenError') {
+              circuitError ||= error;
+            }
+            throw error;
+          }
+        }
+      })
+    );
+    for (const { status, reason } of settled) {
+      if (status === 'rejected' && reason.name !== 'CircuitOpenError') {
+        console.error('\n✗ Worker failed:', reason.message);
+        if (config.debug) {
+          console.error(reason.stack);
+        }
       }
     }
   } catch (error) {
@@ -366,9 +617,78 @@ async function main() {
       console.error(error.stack);
     }
   } finally {
+    // Keep the most recently refreshed session for the next run
+    if (workers.length > 0) {
+      const freshest = workers.reduce((latest, worker) =>
+        worker.session.lastLogin() > latest.session.lastLogin() ? worker : latest
+      );
+      await freshest.session.persist().catch(error => {
+        console.warn('  ⚠ Could not save session:', error.message);
+      });
+    }
     await browser.close();
   }
 
+  // Collect results in config order, independent of completion order
+  const results = {
+    captured: [],
+    skipped: [],
+    failed: [],
+    files: [],
+    comparison: {
+      pass: [],
+      changed: [],
+      new: [],
+    },
+    manifest: [],
+    accessibility: [],
+  };
+
+  screenshots.forEach((screenshot, index) => {
+    const outcome = outcomes[index] || { status: 'failed', reason: 'not processed' };
+    results.manifest.push(manifestEntry(screenshot, outcome, OUTPUT_DIR));
+
+    if (outcome.status === 'captured') {
+      results.captured.push(label(screenshot));
+      results.files.push(...outcome.files);
+      if (outcome.accessibility) {
+        results.accessibility.push({
+          id: label(screenshot),
+          url: outcome.url,
+          violations: outcome.accessibility,
+        });
+      }
+      if (outcome.comparison) {
+        results.comparison[outcome.comparison.status].push({
+          id: label(screenshot),
+          ...outcome.comparison,
+        });
+      }
+    } else {
+      results[outcome.status].push({
+        id: label(screenshot),
+        reason: outcome.reason,
+        artifacts: outcome.artifacts,
+      });
+    }
+  });
+
+  const manifest = createManifest({
+    baseUrl: config.baseUrl,
+    operatonVersion,
+    startedAt,
+    entries: results.manifest,
+  });
+  const manifestFile = await writeManifest(OUTPUT_DIR, manifest);
+  const galleryFile = await writeGallery(OUTPUT_DIR, manifest, configData.categories);
+  const accessibilityReport =
+    auditMode && results.accessibility.length > 0
+      ? await writeAccessibilityReport(OUTPUT_DIR, {
+          baseUrl: config.baseUrl,
+          pages: results.accessibility,
+        })
+      : null;
+
   // Print summary
   console.log(`\n${'═'.repeat(60)}`);
   console.log('  Capture Summary');
@@ -376,18 +696,84 @@ async function main() {
   console.log(`  Captured: ${results.captured.length}`);
   console.log(`  Skipped:  ${results.skipped.length}`);
   console.log(`  Failed:   ${results.failed.length}`);
+  if (results.files.length > results.captured.length) {
+    const totalBytes = results.files.reduce((sum, file) => sum + file.bytes, 0);
+    console.log(`  Files:    ${results.files.length} (${(totalBytes / 1024).toFixed(0)} KB)`);
+  }
+  if (compareMode) {
+    console.log('');
+    console.log(`  Unchanged: ${results.comparison.pass.length}`);
+    console.log(`  Changed:   ${results.comparison.changed.length}`);
+    console.log(`  New:       ${results.comparison.new.length}`);
+  }
+  if (auditMode) {
+    const violations = results.accessibility.reduce((sum, page) => sum + page.violations.length, 0);
+    console.log('');
+    console.log(
+      `  Accessibility: ${violations} violation(s) on ${results.accessibility.length} page(s)`
+    );
+  }
   console.log(`${'═'.repeat(60)}\n`);
 
+  if (results.comparison.changed.length > 0) {
+    console.log('Changed screenshots:');
+    results.comparison.changed.forEach(c => console.log(`  - ${c.id}: ${c.reason}`));
+  }
+
+  if (results.skipped.length > 0) {
+    console.log('Skipped screenshots:');
+    results.skipped.forEach(s => console.log(`  - ${s.id}: ${s.reason}`));
+  }
+
   if (results.failed.length > 0) {
     console.log('Failed screenshots:');
-    results.failed.forEach(id => console.log(`  - ${id}`));
+    results.failed.forEach(f => {
+      console.log(`  - ${f.id}: ${f.reason}`);
+      if (f.artifacts) {
+        console.log(`    Artifacts: ${path.relative(process.cwd(), f.artifacts)}/`);
+      }
+    });
   }
 
   console.log('\nScreenshots saved to:', OUTPUT_DIR);
+  console.log('Manifest written to:', manifestFile);
+  console.log('Gallery:', galleryFile);
+  if (accessibilityReport) {
+    console.log('Accessibility report:', accessibilityReport.markdownFile);
+  }
+  if (results.comparison.changed.length > 0) {
+    console.log('Diff images saved to:', DIFF_DIR);
+  }
+  if (results.failed.some(f => f.artifacts)) {
+    console.log('Failure artifacts saved to:', FAILURES_DIR);
+  }
   console.log('');
+
+  if (circuitError) {
+    throw circuitError;
+  }
+
+  let exitCode = EXIT_CODES.OK;
+  if (results.failed.length > 0) {
+    exitCode = EXIT_CODES.FAILED;
+  } else if (compareMode && !updateBaseline && results.comparison.changed.length > 0) {
+    exitCode = EXIT_CODES.CHANGED;
+  }
+
+  finish(
+    {
+      captured: results.captured,
+      skipped: results.skipped,
+      failed: results.failed,
+      ...(compareMode && { comparison: results.comparison }),
+      files: {
+        manifest: manifestFile,
+        gallery: galleryFile,
+        ...(accessibilityReport && { accessibility: accessibilityReport.jsonFile }),
+      },
+    },
+    exitCode
+  );
 }
 
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+main().catch(fail);
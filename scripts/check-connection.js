@@ -7,37 +7,32 @@
 * Check connection to Operaton instance
  */
 
-import 'dotenv/config';
 import axios from 'axios';
 
+import { EXIT_CODES, fail, finish, parseCommandArgs } from './lib/cli.js';
+import { createRestClient } from './lib/rest-client.js';
+
+parseCommandArgs('check');
+
 const config = {
-  baseUrl: process.env.OPERATON_REST_URL || 'https://operaton-doc.open-regels.nl/engine-rest',
   webUrl: process.env.OPERATON_BASE_URL || 'https://operaton-doc.open-regels.nl',
-  username: process.env.OPERATON_USERNAME || 'demo',
-  password: process.env.OPERATON_PASSWORD || 'demo',
 };
 
+const api = createRestClient({ timeout: 10000, retries: 0 });
+
 async function checkRestApi() {
-  console.log(`\nChecking REST API: ${config.baseUrl}`);
+  console.log(`\nChecking REST API: ${api.baseUrl}`);
 
   try {
-    const response = await axios.get(`${config.baseUrl}/engine`, {
-      auth: {
-        username: config.username,
-        password: config.password,
-      },
-      timeout: 10000,
-    });
-
-    const engines = response.data;
+    const engines = await api.engines();
     console.log('  ✓ REST API accessible');
     console.log(`  ✓ Engine(s): ${engines.map(e => e.name).join(', ')}`);
-    return true;
+    return engines.map(e => e.name);
   } catch (error) {
     console.log('  ✗ REST API not accessible');
-    if (error.response) {
-      console.log(`    Status: ${error.response.status}`);
-      if (error.response.status === 401) {
+    if (error.status) {
+      console.log(`    Status: ${error.status}`);
+      if (error.status === 401) {
         console.log('    → Check username/password in .env file');
       }
     } else if (error.code === 'ECONNREFUSED') {
@@ -47,7 +42,7 @@ async function checkRestApi() {
     } else {
       console.log(`    Error: ${error.message}`);
     }
-    return false;
+    return null;
   }
 }
 
@@ -55,6 +50,7 @@ async function checkWebApps() {
   console.log(`\nChecking Web Apps: ${config.webUrl}`);
 
   const apps = ['cockpit', 'tasklist', 'admin'];
+  const accessible = {};
 
   for (const app of apps) {
     const url = `${config.webUrl}/operaton/app/${app}/default/`;
@@ -64,32 +60,34 @@ async function checkWebApps() {
         maxRedirects: 5,
       });
       console.log(`  ✓ ${app.charAt(0).toUpperCase() + app.slice(1)} accessible`);
+      accessible[app] = true;
     } catch (error) {
       if (error.response?.status === 401 || error.response?.status === 302) {
         // Login page or redirect is expected
         console.log(
           `  ✓ ${app.charAt(0).toUpperCase() + app.slice(1)} accessible (requires login)`
         );
+        accessible[app] = true;
       } else {
         console.log(`  ✗ ${app.charAt(0).toUpperCase() + app.slice(1)} not accessible`);
+        accessible[app] = false;
       }
     }
   }
+
+  return accessible;
 }
 
 async function checkVersion() {
   console.log('\nChecking Version Info:');
 
   try {
-    const response = await axios.get(`${config.baseUrl}/version`, {
-      auth: {
-        username: config.username,
-        password: config.password,
-      },
-    });
-    console.log(`  Version: ${response.data.version || 'unknown'}`);
+    const version = await api.version();
+    console.log(`  Version: ${version || 'unknown'}`);
+    return version;
   } catch {
     console.log('  Version: Could not determine');
+    return null;
   }
 }
 
@@ -98,11 +96,23 @@ async function main() {
   console.log('  Operaton Connection Check');
   console.log('═'.repeat(50));
 
-  const restOk = await checkRestApi();
-
-  if (restOk) {
-    await checkVersion();
-    await checkWebApps();
+  const engines = await checkRestApi();
+
+  if (engines) {
+    const version = await checkVersion();
+    const webapps = await checkWebApps();
+
+    // Capture needs the webapps as well as the REST API
+    const unreachable = Object.keys(webapps).filter(app => !webapps[app]);
+    if (unreachable.length > 0) {
+      console.log(`\n${'═'.repeat(50)}`);
+      console.log(`  ✗ Web apps not accessible: ${unreachable.join(', ')}`);
+      console.log('═'.repeat(50));
+      console.log('\nTroubleshooting:');
+      console.log('  1. Check OPERATON_BASE_URL in .env file');
+      console.log('  2. Verify the webapps are deployed and running');
+      finish({ baseUrl: api.baseUrl, engines, version, webapps }, EXIT_CODES.UNREACHABLE);
+    }
 
     console.log(`\n${'═'.repeat(50)}`);
     console.log('  ✓ Connection successful!');
@@ -111,6 +121,7 @@ async function main() {
     console.log('  make deploy   # Deploy processes');
     console.log('  make data     # Generate test data');
     console.log('  make capture  # Capture screenshots');
+    finish({ baseUrl: api.baseUrl, engines, version, webapps });
   } else {
     console.log(`\n${'═'.repeat(50)}`);
     console.log('  ✗ Connection failed');
@@ -119,11 +130,8 @@ async function main() {
     console.log('  1. Verify Operaton is running');
     console.log('  2. Check .env file configuration');
     console.log('  3. Verify network connectivity');
-    process.exit(1);
+    finish({ baseUrl: api.baseUrl }, EXIT_CODES.UNREACHABLE);
   }
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+main().catch(fail);
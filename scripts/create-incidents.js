@@ -14,41 +14,25 @@
  * - Expression evaluation errors
  */
 
-import 'dotenv/config';
-import axios from 'axios';
-import FormData from 'form-data';
 import _fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+import { EXIT_CODES, fail, finish, parseCommandArgs } from './lib/cli.js';
+import { createRestClient } from './lib/rest-client.js';
+
+// Without incident options, all kinds are created
+const { options } = parseCommandArgs('incidents');
+const INCIDENT_OPTIONS = ['script-errors', 'service-errors', 'expression-errors', 'job-errors'];
+const createAll = INCIDENT_OPTIONS.every(option => !options[option]);
+const createScriptErrors = createAll || Boolean(options['script-errors']);
+const createServiceErrors = createAll || Boolean(options['service-errors']);
+const createExpressionErrors = createAll || Boolean(options['expression-errors']);
+const createJobErrors = createAll || Boolean(options['job-errors']);
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Configuration
-const config = {
-  baseUrl: process.env.OPERATON_REST_URL || 'https://operaton-doc.open-regels.nl/engine-rest',
-  username: process.env.OPERATON_USERNAME || 'demo',
-  password: process.env.OPERATON_PASSWORD || 'demo',
-};
-
-// API client
-const api = axios.create({
-  baseURL: config.baseUrl,
-  auth: {
-    username: config.username,
-    password: config.password,
-  },
-  headers: {
-    Accept: 'application/json',
-    'Content-Type': 'application/json',
-  },
-});
-
-// Parse command line arguments
-const args = process.argv.slice(2);
-const createScriptErrors = args.includes('--script-errors') || args.length === 0;
-const createServiceErrors = args.includes('--service-errors') || args.length === 0;
-const createExpressionErrors = args.includes('--expression-errors') || args.length === 0;
-const createJobErrors = args.includes('--job-errors') || args.length === 0;
+const api = createRestClient();
 
 /**
  * Delay helper
@@ -59,23 +43,14 @@ const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
  * Deploy a BPMN process
  */
 async function deployProcess(name, bpmnXml) {
-  const form = new FormData();
-
-  form.append('deployment-name', name);
-  form.append('enable-duplicate-filtering', 'false');
-  form.append('upload', Buffer.from(bpmnXml), {
-    filename: `${name}.bpmn`,
-    contentType: 'application/octet-stream',
-  });
-
   try {
-    const response = await api.post('/deployment/create', form, {
-      headers: form.getHeaders(),
+    const deployment = await api.deploy(name, [{ filename: `${name}.bpmn`, content: bpmnXml }], {
+      duplicateFiltering: false,
     });
     console.log(`  ✓ Deployed: ${name}`);
-    return response.data;
+    return deployment;
   } catch (error) {
-    console.error(`  ✗ Failed to deploy ${name}:`, error.response?.data?.message || error.message);
+    console.error(`  ✗ Failed to deploy ${name}:`, error.message);
     return null;
   }
 }
@@ -85,23 +60,7 @@ async function deployProcess(name, bpmnXml) {
  */
 async function startProcess(processKey, variables = {}, businessKey = null) {
   try {
-    const payload = {
-      variables: Object.fromEntries(
-        Object.entries(variables).map(([key, value]) => {
-          let type = 'String';
-          if (typeof value === 'number') type = Number.isInteger(value) ? 'Integer' : 'Double';
-          if (typeof value === 'boolean') type = 'Boolean';
-          return [key, { value, type }];
-        })
-      ),
-    };
-
-    if (businessKey) {
-      payload.businessKey = businessKey;
-    }
-
-    const response = await api.post(`/process-definition/key/${processKey}/start`, payload);
-    return response.data;
+    return await api.startProcess(processKey, variables, businessKey);
   } catch {
     // Expected for some error scenarios
     return null;
@@ -113,8 +72,7 @@ async function startProcess(processKey, variables = {}, businessKey = null) {
  */
 async function getIncidents() {
   try {
-    const response = await api.get('/incident');
-    return response.data;
+    return await api.list('/incident');
   } catch {
     return [];
   }
@@ -125,10 +83,7 @@ async function getIncidents() {
  */
 async function getFailedJobs() {
   try {
-    const response = await api.get('/job', {
-      params: { withException: true },
-    });
-    return response.data;
+    return await api.list('/job', { withException: true });
   } catch {
     return [];
   }
@@ -289,13 +244,11 @@ async function createScriptIncidents() {
 
   // Deploy failing script process
   await deployProcess('failing-script-process', FAILING_SCRIPT_PROCESS);
-  await delay(500);
 
   // Start instances (they will fail at the script task)
   for (let i = 0; i < 3; i++) {
     console.log(`  Starting failing script instance ${i + 1}...`);
     await startProcess('failing-script-process', {}, `SCRIPT-FAIL-${Date.now()}-${i}`);
-    await delay(300);
   }
 
   console.log('  ✓ Script task incidents created');
@@ -306,13 +259,11 @@ async function createServiceIncidents() {
 
   // Deploy failing service process
   await deployProcess('failing-service-process', FAILING_SERVICE_PROCESS);
-  await delay(500);
 
   // Start instances
   for (let i = 0; i < 2; i++) {
     console.log(`  Starting failing service instance ${i + 1}...`);
     await startProcess('failing-service-process', {}, `SERVICE-FAIL-${Date.now()}-${i}`);
-    await delay(300);
   }
 
   console.log('  ✓ Service task incidents created');
@@ -323,7 +274,6 @@ async function createExpressionIncidents() {
 
   // Deploy process with bad expression
   await deployProcess('failing-expression-process', FAILING_EXPRESSION_PROCESS);
-  await delay(500);
 
   // Start without required variable
   console.log('  Starting instance without required variable...');
@@ -337,13 +287,11 @@ async function createJobIncidents() {
 
   // Deploy async failing process
   await deployProcess('failing-job-process', FAILING_JOB_PROCESS);
-  await delay(500);
 
   // Start instances
   for (let i = 0; i < 2; i++) {
     console.log(`  Starting async failing instance ${i + 1}...`);
     await startProcess('failing-job-process', {}, `JOB-FAIL-${Date.now()}-${i}`);
-    await delay(500);
   }
 
   // Wait for jobs to be executed and fail
@@ -358,22 +306,19 @@ async function createExternalTaskIncidents() {
 
   // Deploy external task process
   await deployProcess('external-task-process', EXTERNAL_TASK_PROCESS);
-  await delay(500);
 
   // Start instances (they will wait for external workers)
   for (let i = 0; i < 2; i++) {
     console.log(`  Starting external task instance ${i + 1}...`);
     await startProcess('external-task-process', {}, `EXT-TASK-${Date.now()}-${i}`);
-    await delay(300);
   }
 
   // Fetch and fail external tasks
   console.log('  Fetching external tasks to fail them...');
-  await delay(500);
 
   try {
     // Fetch external tasks
-    const fetchResponse = await api.post('/external-task/fetchAndLock', {
+    const tasks = await api.post('/external-task/fetchAndLock', {
       workerId: 'incident-creator',
       maxTasks: 5,
       topics: [
@@ -384,7 +329,6 @@ async function createExternalTaskIncidents() {
       ],
     });
 
-    const tasks = fetchResponse.data;
     console.log(`  Found ${tasks.length} external tasks`);
 
     // Fail each task
@@ -421,14 +365,14 @@ async function printSummary() {
   console.log(`\n  Total incidents: ${incidents.length}`);
   console.log(`  Failed jobs: ${failedJobs.length}`);
 
-  if (incidents.length > 0) {
-    // Group by type
-    const byType = {};
-    for (const incident of incidents) {
-      const type = incident.incidentType || 'unknown';
-      byType[type] = (byType[type] || 0) + 1;
-    }
+  // Group by type
+  const byType = {};
+  for (const incident of incidents) {
+    const type = incident.incidentType || 'unknown';
+    byType[type] = (byType[type] || 0) + 1;
+  }
 
+  if (incidents.length > 0) {
     console.log('\n  Incidents by type:');
     for (const [type, count] of Object.entries(byType)) {
       console.log(`    ${type}: ${count}`);
@@ -436,6 +380,7 @@ async function printSummary() {
   }
 
   console.log(`\n${'─'.repeat(60)}`);
+  return { incidents: incidents.length, failedJobs: failedJobs.length, byType };
 }
 
 // ============================================================================
@@ -446,15 +391,15 @@ async function main() {
   console.log('═'.repeat(60));
   console.log('  Operaton Incident Creator');
   console.log('═'.repeat(60));
-  console.log(`\nTarget: ${config.baseUrl}`);
+  console.log(`\nTarget: ${api.baseUrl}`);
 
   // Test connection
   try {
-    await api.get('/engine');
+    await api.engines();
     console.log('✓ Connected to Operaton\n');
   } catch (error) {
     console.error('✗ Failed to connect to Operaton:', error.message);
-    process.exit(1);
+    finish({ error: error.message }, EXIT_CODES.UNREACHABLE);
   }
 
   // Create requested incident types
@@ -475,8 +420,10 @@ async function main() {
     await createExternalTaskIncidents();
   }
 
+  api.checkCircuit();
+
   // Print summary
-  await printSummary();
+  const summary = await printSummary();
 
   console.log('\nYour Operaton instance now has incidents for:');
   console.log('  • Cockpit incident views');
@@ -485,9 +432,8 @@ async function main() {
   console.log('  • External task failure handling');
   console.log('\nRun: make capture  (to capture screenshots)');
   console.log('');
+
+  finish(summary);
 }
 
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+main().catch(fail);
@@ -12,49 +12,35 @@
  * 3. Tracks deployment status
  */
 
-import 'dotenv/config';
-import axios from 'axios';
-import FormData from 'form-data';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+import { EXIT_CODES, fail, finish, parseCommandArgs } from './lib/cli.js';
+import { loadConfig } from './lib/config.js';
+import { createRestClient } from './lib/rest-client.js';
+
+parseCommandArgs('deploy');
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const CONFIG_PATH = path.join(__dirname, '../config/screenshots.json');
-
-// Configuration
-const config = {
-  baseUrl: process.env.OPERATON_REST_URL || 'https://operaton-doc.open-regels.nl/engine-rest',
-  username: process.env.OPERATON_USERNAME || 'demo',
-  password: process.env.OPERATON_PASSWORD || 'demo',
-};
-
-// Create axios instance with auth
-const api = axios.create({
-  baseURL: config.baseUrl,
-  auth: {
-    username: config.username,
-    password: config.password,
-  },
-  headers: {
-    Accept: 'application/json',
-  },
-});
+const CONFIG_PATH = process.env.CONFIG_PATH || path.join(__dirname, '../config/screenshots.json');
+
+const api = createRestClient();
 
 /**
  * Check if Operaton is accessible
  */
 async function checkConnection() {
   try {
-    const response = await api.get('/engine');
+    const engines = await api.engines();
     console.log('✓ Connected to Operaton');
-    console.log(`  Engine: ${response.data[0]?.name || 'default'}`);
+    console.log(`  Engine: ${engines[0]?.name || 'default'}`);
     return true;
   } catch (error) {
     console.error('✗ Failed to connect to Operaton:', error.message);
-    if (error.response) {
-      console.error(`  Status: ${error.response.status}`);
-      console.error(`  Response: ${JSON.stringify(error.response.data)}`);
+    if (error.status) {
+      console.error(`  Status: ${error.status}`);
+      console.error(`  Response: ${JSON.stringify(error.data)}`);
     }
     return false;
   }
@@ -65,8 +51,7 @@ async function checkConnection() {
  */
 async function getExistingDeployments() {
   try {
-    const response = await api.get('/deployment');
-    return response.data;
+    return await api.list('/deployment');
   } catch (error) {
     console.error('Failed to get deployments:', error.message);
     return [];
@@ -77,41 +62,24 @@ async function getExistingDeployments() {
  * Deploy a single process file
  */
 async function deployProcess(processConfig, filePath) {
-  const form = new FormData();
-
-  // Read the file
-  const fileContent = await fs.readFile(filePath);
-  const fileName = path.basename(filePath);
-
-  // Add file to form
-  form.append('upload', fileContent, {
-    filename: fileName,
-    contentType: 'application/octet-stream',
-  });
-
-  // Deployment metadata
-  form.append('deployment-name', processConfig.name);
-  form.append('enable-duplicate-filtering', 'true');
-  form.append('deploy-changed-only', 'true');
-
   try {
-    const response = await api.post('/deployment/create', form, {
-      headers: {
-        ...form.getHeaders(),
-      },
-    });
+    const deployment = await api.deploy(
+      processConfig.name,
+      [{ filename: path.basename(filePath), content: await fs.readFile(filePath) }],
+      { duplicateFiltering: true, changedOnly: true }
+    );
 
     console.log(`  ✓ Deployed: ${processConfig.name}`);
-    console.log(`    ID: ${response.data.id}`);
+    console.log(`    ID: ${deployment.id}`);
     console.log(
-      `    Resources: ${Object.keys(response.data.deployedProcessDefinitions || {}).length} process(es)`
+      `    Resources: ${Object.keys(deployment.deployedProcessDefinitions || {}).length} process(es)`
     );
 
-    return response.data;
+    return deployment;
   } catch (error) {
     console.error(`  ✗ Failed to deploy ${processConfig.name}:`, error.message);
-    if (error.response) {
-      console.error(`    ${JSON.stringify(error.response.data)}`);
+    if (error.data) {
+      console.error(`    ${JSON.stringify(error.data)}`);
     }
     return null;
   }
@@ -121,7 +89,7 @@ async function deployProcess(processConfig, filePath) {
  * Deploy all processes from config
  */
 async function deployAllProcesses() {
-  const configData = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf8'));
+  const configData = await loadConfig(CONFIG_PATH);
   const results = {
     deployed: [],
     failed: [],
@@ -310,12 +278,12 @@ async function main() {
   console.log('═'.repeat(60));
   console.log('  Operaton Process Deployment Script');
   console.log('═'.repeat(60));
-  console.log(`\nTarget: ${config.baseUrl}\n`);
+  console.log(`\nTarget: ${api.baseUrl}\n`);
 
   // Check connection
   if (!(await checkConnection())) {
     console.error('\nCannot proceed without connection to Operaton');
-    process.exit(1);
+    finish({}, EXIT_CODES.UNREACHABLE);
   }
 
   // Create sample processes if needed
@@ -338,6 +306,7 @@ async function main() {
 
   // Deploy processes
   const results = await deployAllProcesses();
+  api.checkCircuit();
 
   // Summary
   console.log(`\n${'═'.repeat(60)}`);
@@ -360,9 +329,15 @@ async function main() {
     console.log('  1. Copy BPMN/DMN files to processes/ directory');
     console.log('  2. Or use existing files from Camunda examples');
   }
+
+  finish(
+    {
+      deployed: results.deployed.map(({ key, id, name }) => ({ key, id, name })),
+      failed: results.failed,
+      skipped: results.skipped,
+    },
+    results.failed.length > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK
+  );
 }
 
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+main().catch(fail);
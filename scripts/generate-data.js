@@ -7,47 +7,41 @@
  * Generate test data for Operaton screenshots
  *
  * Creates:
- * - Users and groups
- * - Process instances (running and completed)
- * - User tasks (assigned and unassigned)
- * - Decision instances
- * - Failed jobs (for error screenshots)
- * - Batch operations
+ * - Users and groups (--identities)
+ * - Tenants with their members (--tenants)
+ * - Process instances, running and completed, with user tasks (--instances)
+ * - Decision instances (--decisions)
+ * - A suspended batch operation (--batches)
+ * - Running instances of any process (--start <key>:<count>), started with
+ *   the `variables` of its config entry
+ *
+ * Without options, everything except --start instances is created.
  */
 
-import 'dotenv/config';
-import axios from 'axios';
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const CONFIG_PATH = path.join(__dirname, '../config/screenshots.json');
+import { EXIT_CODES, fail, finish, listValues, parseCommandArgs } from './lib/cli.js';
+import { loadConfig } from './lib/config.js';
+import { createRestClient, serializeVariables } from './lib/rest-client.js';
 
-// Configuration
-const config = {
-  baseUrl: process.env.OPERATON_REST_URL || 'https://operaton-doc.open-regels.nl/engine-rest',
-  username: process.env.OPERATON_USERNAME || 'demo',
-  password: process.env.OPERATON_PASSWORD || 'demo',
-};
+const { options } = parseCommandArgs('data');
+const DATA_OPTIONS = ['identities', 'tenants', 'instances', 'decisions', 'batches'];
+const createAll = DATA_OPTIONS.every(option => !options[option]) && !options.start;
+const create = Object.fromEntries(
+  DATA_OPTIONS.map(option => [option, createAll || Boolean(options[option])])
+);
 
-// API client
-const api = axios.create({
-  baseURL: config.baseUrl,
-  auth: {
-    username: config.username,
-    password: config.password,
-  },
-  headers: {
-    Accept: 'application/json',
-    'Content-Type': 'application/json',
-  },
-});
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_PATH = process.env.CONFIG_PATH || path.join(__dirname, '../config/screenshots.json');
+
+const api = createRestClient();
 
 // Track created resources for cleanup
 const createdResources = {
   users: [],
   groups: [],
+  tenants: [],
   processInstances: [],
   tasks: [],
 };
@@ -59,12 +53,12 @@ async function createUser(userData) {
   try {
     // Check if user exists
     const existing = await api.get(`/user/${userData.id}/profile`).catch(() => null);
-    if (existing?.data) {
+    if (existing) {
       console.log(`  ⊘ User ${userData.id} already exists`);
-      return existing.data;
+      return existing;
     }
 
-    const response = await api.post('/user/create', {
+    const user = await api.post('/user/create', {
       profile: {
         id: userData.id,
         firstName: userData.firstName,
@@ -78,19 +72,13 @@ async function createUser(userData) {
 
     console.log(`  ✓ Created user: ${userData.id}`);
     createdResources.users.push(userData.id);
-    return response.data;
+    return user;
   } catch (error) {
-    if (
-      error.response?.status === 500 &&
-      error.response?.data?.message?.includes('already exists')
-    ) {
+    if (error.status === 500 && error.message.includes('already exists')) {
       console.log(`  ⊘ User ${userData.id} already exists`);
       return null;
     }
-    console.error(
-      `  ✗ Failed to create user ${userData.id}:`,
-      error.response?.data?.message || error.message
-    );
+    console.error(`  ✗ Failed to create user ${userData.id}:`, error.message);
     return null;
   }
 }
@@ -102,12 +90,12 @@ async function createGroup(groupData) {
   try {
     // Check if group exists
     const existing = await api.get(`/group/${groupData.id}`).catch(() => null);
-    if (existing?.data) {
+    if (existing) {
       console.log(`  ⊘ Group ${groupData.id} already exists`);
-      return existing.data;
+      return existing;
     }
 
-    const response = await api.post('/group/create', {
+    const group = await api.post('/group/create', {
       id: groupData.id,
       name: groupData.name,
       type: groupData.type || 'WORKFLOW',
@@ -115,19 +103,13 @@ async function createGroup(groupData) {
 
     console.log(`  ✓ Created group: ${groupData.id}`);
     createdResources.groups.push(groupData.id);
-    return response.data;
+    return group;
   } catch (error) {
-    if (
-      error.response?.status === 500 &&
-      error.response?.data?.message?.includes('already exists')
-    ) {
+    if (error.status === 500 && error.message.includes('already exists')) {
       console.log(`  ⊘ Group ${groupData.id} already exists`);
       return null;
     }
-    console.error(
-      `  ✗ Failed to create group ${groupData.id}:`,
-      error.response?.data?.message || error.message
-    );
+    console.error(`  ✗ Failed to create group ${groupData.id}:`, error.message);
     return null;
   }
 }
@@ -141,43 +123,64 @@ async function addUserToGroup(userId, groupId) {
     console.log(`  ✓ Added ${userId} to group ${groupId}`);
   } catch (error) {
     // Ignore if already member
-    if (!error.response?.data?.message?.includes('already member')) {
-      console.error(
-        `  ✗ Failed to add ${userId} to ${groupId}:`,
-        error.response?.data?.message || error.message
-      );
+    if (!error.message.includes('already member')) {
+      console.error(`  ✗ Failed to add ${userId} to ${groupId}:`, error.message);
     }
   }
 }
 
 /**
- * Start a process instance
+ * Create a tenant and add its user and group members
  */
-async function startProcessInstance(processKey, variables = {}, businessKey = null) {
+async function createTenant(tenantData) {
   try {
-    const payload = {
-      variables: Object.fromEntries(
-        Object.entries(variables).map(([key, value]) => [
-          key,
-          { value, type: typeof value === 'number' ? 'Double' : 'String' },
-        ])
-      ),
-    };
-
-    if (businessKey) {
-      payload.businessKey = businessKey;
+    const existing = await api.get(`/tenant/${tenantData.id}`).catch(() => null);
+    if (existing) {
+      console.log(`  ⊘ Tenant ${tenantData.id} already exists`);
+    } else {
+      await api.post('/tenant/create', {
+        id: tenantData.id,
+        name: tenantData.name || tenantData.id,
+      });
+      console.log(`  ✓ Created tenant: ${tenantData.id}`);
+      createdResources.tenants.push(tenantData.id);
     }
+  } catch (error) {
+    console.error(`  ✗ Failed to create tenant ${tenantData.id}:`, error.message);
+    return;
+  }
+
+  const members = [
+    ...(tenantData.users || []).map(id => ['user-members', id]),
+    ...(tenantData.groups || []).map(id => ['group-members', id]),
+  ];
+  for (const [resource, id] of members) {
+    try {
+      await api.put(`/tenant/${tenantData.id}/${resource}/${id}`);
+      console.log(`  ✓ Added ${id} to tenant ${tenantData.id}`);
+    } catch (error) {
+      console.error(`  ✗ Failed to add ${id} to tenant ${tenantData.id}:`, error.message);
+    }
+  }
+}
 
-    const response = await api.post(`/process-definition/key/${processKey}/start`, payload);
+/**
+ * Invoice amount variable: always a Double, also for whole numbers
+ */
+const doubleAmount = value => ({ value, type: 'Double' });
 
-    console.log(`  ✓ Started process: ${processKey} (${response.data.id})`);
-    createdResources.processInstances.push(response.data.id);
-    return response.data;
+/**
+ * Start a process instance
+ */
+async function startProcessInstance(processKey, variables = {}, businessKey = null) {
+  try {
+    const instance = await api.startProcess(processKey, variables, businessKey);
+
+    console.log(`  ✓ Started process: ${processKey} (${instance.id})`);
+    createdResources.processInstances.push(instance.id);
+    return instance;
   } catch (error) {
-    console.error(
-      `  ✗ Failed to start ${processKey}:`,
-      error.response?.data?.message || error.message
-    );
+    console.error(`  ✗ Failed to start ${processKey}:`, error.message);
     return null;
   }
 }
@@ -191,10 +194,9 @@ async function getTasks(assignee = null, candidateGroup = null) {
     if (assignee) params.assignee = assignee;
     if (candidateGroup) params.candidateGroup = candidateGroup;
 
-    const response = await api.get('/task', { params });
-    return response.data;
+    return await api.getTasks(params);
   } catch (error) {
-    console.error('Failed to get tasks:', error.response?.data?.message || error.message);
+    console.error('Failed to get tasks:', error.message);
     return [];
   }
 }
@@ -204,11 +206,11 @@ async function getTasks(assignee = null, candidateGroup = null) {
  */
 async function _claimTask(taskId, userId) {
   try {
-    await api.post(`/task/${taskId}/claim`, { userId });
+    await api.claimTask(taskId, userId);
     console.log(`  ✓ Claimed task ${taskId} for ${userId}`);
     return true;
   } catch (error) {
-    console.error(`  ✗ Failed to claim task:`, error.response?.data?.message || error.message);
+    console.error(`  ✗ Failed to claim task:`, error.message);
     return false;
   }
 }
@@ -218,18 +220,11 @@ async function _claimTask(taskId, userId) {
  */
 async function completeTask(taskId, variables = {}) {
   try {
-    await api.post(`/task/${taskId}/complete`, {
-      variables: Object.fromEntries(
-        Object.entries(variables).map(([key, value]) => [
-          key,
-          { value, type: typeof value === 'boolean' ? 'Boolean' : 'String' },
-        ])
-      ),
-    });
+    await api.completeTask(taskId, variables);
     console.log(`  ✓ Completed task ${taskId}`);
     return true;
   } catch (error) {
-    console.error(`  ✗ Failed to complete task:`, error.response?.data?.message || error.message);
+    console.error(`  ✗ Failed to complete task:`, error.message);
     return false;
   }
 }
@@ -239,8 +234,7 @@ async function completeTask(taskId, variables = {}) {
  */
 async function getProcessDefinitions() {
   try {
-    const response = await api.get('/process-definition', { params: { latestVersion: true } });
-    return response.data;
+    return await api.getProcessDefinitions();
   } catch (error) {
     console.error('Failed to get process definitions:', error.message);
     return [];
@@ -252,8 +246,7 @@ async function getProcessDefinitions() {
  */
 async function getDecisionDefinitions() {
   try {
-    const response = await api.get('/decision-definition', { params: { latestVersion: true } });
-    return response.data;
+    return await api.getDecisionDefinitions();
   } catch (error) {
     console.error('Failed to get decision definitions:', error.message);
     return [];
@@ -265,21 +258,11 @@ async function getDecisionDefinitions() {
  */
 async function evaluateDecision(decisionKey, variables) {
   try {
-    const response = await api.post(`/decision-definition/key/${decisionKey}/evaluate`, {
-      variables: Object.fromEntries(
-        Object.entries(variables).map(([key, value]) => [
-          key,
-          { value, type: typeof value === 'number' ? 'Double' : 'String' },
-        ])
-      ),
-    });
+    const result = await api.evaluateDecision(decisionKey, variables);
     console.log(`  ✓ Evaluated decision: ${decisionKey}`);
-    return response.data;
+    return result;
   } catch (error) {
-    console.error(
-      `  ✗ Failed to evaluate ${decisionKey}:`,
-      error.response?.data?.message || error.message
-    );
+    console.error(`  ✗ Failed to evaluate ${decisionKey}:`, error.message);
     return null;
   }
 }
@@ -287,7 +270,7 @@ async function evaluateDecision(decisionKey, variables) {
 /**
  * Create test scenario data
  */
-async function createTestScenarios(_configData) {
+async function createTestScenarios({ instances = true, decisions = true } = {}) {
   const scenarios = {
     simpleWorkflow: {
       description: 'Basic workflow with tasks',
@@ -309,13 +292,27 @@ async function createTestScenarios(_configData) {
     decisions: [],
   };
 
+  if (instances) {
+    await createInstanceScenarios(scenarios, results);
+  }
+  if (decisions) {
+    await createDecisionScenarios(results);
+  }
+
+  return results;
+}
+
+/**
+ * Start running and completed invoice instances
+ */
+async function createInstanceScenarios(scenarios, results) {
   // Get available process definitions
   const definitions = await getProcessDefinitions();
   console.log(`\nFound ${definitions.length} process definition(s)`);
 
   if (definitions.length === 0) {
     console.log('⚠ No process definitions found. Run deploy-processes.js first.');
-    return results;
+    return;
   }
 
   // Find invoice process (or use first available)
@@ -329,7 +326,7 @@ async function createTestScenarios(_configData) {
     const instance = await startProcessInstance(
       invoiceProcess.key,
       {
-        amount: Math.floor(Math.random() * 2000) + 100,
+        amount: doubleAmount(Math.floor(Math.random() * 2000) + 100),
         creditor: `Vendor ${i + 1}`,
         invoiceNumber: `INV-${Date.now()}-${i}`,
         invoiceCategory: ['Travel Expenses', 'Misc', 'Software License'][i % 3],
@@ -340,25 +337,19 @@ async function createTestScenarios(_configData) {
     if (instance) {
       results.instances.push(instance);
     }
-
-    // Small delay to avoid overwhelming the server
-    await new Promise(r => setTimeout(r, 200));
   }
 
   // Scenario 2: Create and complete some instances
   console.log('\n--- Scenario: Completed Process Instances ---');
   for (let i = 0; i < Math.min(3, scenarios.completedWorkflows.instances); i++) {
     const instance = await startProcessInstance(invoiceProcess.key, {
-      amount: 150, // Low amount for auto-approval
+      amount: doubleAmount(150), // Low amount for auto-approval
       creditor: `Completed Vendor ${i + 1}`,
       invoiceNumber: `INV-COMP-${Date.now()}-${i}`,
       invoiceCategory: 'Misc',
     });
 
     if (instance) {
-      // Wait for task to be created
-      await new Promise(r => setTimeout(r, 500));
-
       // Get and complete the first task
       const tasks = await getTasks();
       const instanceTask = tasks.find(t => t.processInstanceId === instance.id);
@@ -367,10 +358,50 @@ async function createTestScenarios(_configData) {
         await completeTask(instanceTask.id, { approved: true });
       }
     }
+  }
+}
 
-    await new Promise(r => setTimeout(r, 200));
+/**
+ * Start the instances requested with --start (`<key>:<count>`)
+ *
+ * `key` is a config process key or a definition key. Returns the requests
+ * whose instances could not all be started.
+ */
+async function startRequestedInstances(configData, requests, results) {
+  const processes = Object.values(configData.processes || {});
+  const failed = [];
+
+  for (const request of requests) {
+    const [ref, count] = request.split(':');
+    const total = parseInt(count) || 1;
+    const definition = configData.processes?.[ref] || processes.find(entry => entry.key === ref);
+    const key = definition?.key || ref;
+
+    console.log(`\n--- Starting ${total} instance(s) of ${key} ---`);
+    let started = 0;
+    for (let i = 0; i < total; i++) {
+      const instance = await startProcessInstance(
+        key,
+        definition?.variables || {},
+        `BK-${Date.now()}-${i}`
+      );
+      if (instance) {
+        results.instances.push(instance);
+        started++;
+      }
+    }
+    if (started < total) {
+      failed.push(request);
+    }
   }
 
+  return failed;
+}
+
+/**
+ * Evaluate the invoice decision
+ */
+async function createDecisionScenarios(results) {
   // Get decision definitions
   const decisions = await getDecisionDefinitions();
   console.log(`\nFound ${decisions.length} decision definition(s)`);
@@ -383,19 +414,15 @@ async function createTestScenarios(_configData) {
 
     for (let i = 0; i < 3; i++) {
       const result = await evaluateDecision(invoiceDecision.key, {
-        amount: [100, 500, 1000][i],
+        amount: doubleAmount([100, 500, 1000][i]),
         invoiceCategory: 'Travel Expenses',
       });
 
       if (result) {
         results.decisions.push(result);
       }
-
-      await new Promise(r => setTimeout(r, 200));
     }
   }
-
-  return results;
 }
 
 /**
@@ -406,24 +433,51 @@ async function setupUsersAndGroups(configData) {
 
   for (const user of configData.users) {
     await createUser(user);
-    await new Promise(r => setTimeout(r, 100));
   }
 
   console.log('\n👥 Creating groups...');
 
   for (const group of configData.groups) {
     await createGroup(group);
-    await new Promise(r => setTimeout(r, 100));
   }
 
   // Add users to groups
   console.log('\n🔗 Adding users to groups...');
 
-  // Demo user to camunda-admin
-  await addUserToGroup('demo', 'camunda-admin');
-  await addUserToGroup('john', 'accounting');
-  await addUserToGroup('mary', 'management');
-  await addUserToGroup('peter', 'sales');
+  for (const group of configData.groups) {
+    for (const member of group.members || []) {
+      await addUserToGroup(member, group.id);
+    }
+  }
+}
+
+/**
+ * Create a batch operation over running instances
+ *
+ * The batch is suspended right away, so it stays on the Cockpit batch page
+ * instead of completing.
+ */
+async function createBatch() {
+  console.log('\n📦 Creating batch operation...');
+
+  const instances = await api.list('/process-instance', {}, { limit: 10 });
+  if (instances.length === 0) {
+    console.log('  ⚠ No running instances for a batch. Run with --instances first.');
+    return null;
+  }
+
+  try {
+    const batch = await api.post('/process-instance/variables-async', {
+      processInstanceIds: instances.map(instance => instance.id),
+      variables: serializeVariables({ reviewed: false }),
+    });
+    await api.put(`/batch/${batch.id}/suspended`, { suspended: true });
+    console.log(`  ✓ Created suspended batch: ${batch.id}`);
+    return batch;
+  } catch (error) {
+    console.error('  ✗ Failed to create batch:', error.message);
+    return null;
+  }
 }
 
 /**
@@ -435,8 +489,10 @@ function generateReport(results) {
   console.log('═'.repeat(60));
   console.log(`  Users created:     ${createdResources.users.length}`);
   console.log(`  Groups created:    ${createdResources.groups.length}`);
+  console.log(`  Tenants created:   ${createdResources.tenants.length}`);
   console.log(`  Process instances: ${results.instances.length}`);
   console.log(`  Decisions evaluated: ${results.decisions.length}`);
+  console.log(`  Batches created:   ${results.batch ? 1 : 0}`);
   console.log(`${'═'.repeat(60)}\n`);
 }
 
@@ -447,26 +503,47 @@ async function main() {
   console.log('═'.repeat(60));
   console.log('  Operaton Test Data Generator');
   console.log('═'.repeat(60));
-  console.log(`\nTarget: ${config.baseUrl}\n`);
+  console.log(`\nTarget: ${api.baseUrl}\n`);
 
   // Load configuration
-  const configData = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf8'));
+  const configData = await loadConfig(CONFIG_PATH);
 
   // Test connection
   try {
-    await api.get('/engine');
+    await api.engines();
     console.log('✓ Connected to Operaton\n');
   } catch (error) {
     console.error('✗ Failed to connect to Operaton:', error.message);
-    process.exit(1);
+    finish({ error: error.message }, EXIT_CODES.UNREACHABLE);
   }
 
   // Setup users and groups
-  await setupUsersAndGroups(configData);
+  if (create.identities) {
+    await setupUsersAndGroups(configData);
+  }
+
+  if (create.tenants) {
+    console.log('\n🏢 Creating tenants...');
+    for (const tenant of configData.tenants || []) {
+      await createTenant(tenant);
+    }
+  }
 
   // Create test scenarios
-  console.log('\n📊 Creating test scenarios...');
-  const results = await createTestScenarios(configData);
+  if (create.instances || create.decisions) {
+    console.log('\n📊 Creating test scenarios...');
+  }
+  const results = await createTestScenarios(create);
+  const failedStarts = await startRequestedInstances(
+    configData,
+    listValues(options.start),
+    results
+  );
+  if (create.batches) {
+    results.batch = await createBatch();
+  }
+
+  api.checkCircuit();
 
   // Print summary
   generateReport(results);
@@ -476,9 +553,19 @@ async function main() {
   console.log('  1. Verify data in Operaton webapps');
   console.log('  2. Run: npm run capture-screenshots');
   console.log('');
+
+  finish(
+    {
+      users: createdResources.users,
+      groups: createdResources.groups,
+      tenants: createdResources.tenants,
+      processInstances: results.instances.map(instance => instance.id),
+      decisionsEvaluated: results.decisions.length,
+      batch: results.batch?.id || null,
+      ...(failedStarts.length > 0 && { failedStarts }),
+    },
+    failedStarts.length > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK
+  );
 }
 
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+main().catch(fail);
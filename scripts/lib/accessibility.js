@@ -0,0 +1,141 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Accessibility audit of captured pages
+ *
+ * Runs the bundled axe-core in the page after it has stabilized and before
+ * masks or annotations change it. Results of a run are written to
+ * `accessibility.json` and `accessibility.md` in the output directory.
+ *
+ * Options (`defaults.audit`, or `audit` per screenshot; `false` skips it):
+ * - tags: axe rule tags to run (default: WCAG 2.x A and AA)
+ * - exclude: selectors of regions to leave out
+ * - disableRules: axe rule ids to turn off
+ */
+
+import fs from 'fs/promises';
+import { createRequire } from 'module';
+import path from 'path';
+
+/* global axe, document */
+
+export const DEFAULT_AUDIT_OPTIONS = {
+  tags: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'],
+  exclude: [],
+  disableRules: [],
+};
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+const require = createRequire(import.meta.url);
+let axeSource;
+
+/**
+ * Resolve the audit options of a screenshot, or null if it is not audited
+ */
+export function resolveAuditOptions(screenshot, defaults = {}) {
+  if (screenshot.audit === false || defaults.audit === false) return null;
+  return { ...DEFAULT_AUDIT_OPTIONS, ...defaults.audit, ...screenshot.audit };
+}
+
+/**
+ * Run axe-core on the current page
+ *
+ * Returns the violations: `{ id, impact, help, helpUrl, nodes: [{ target, html, summary }] }`.
+ */
+export async function auditPage(page, options = DEFAULT_AUDIT_OPTIONS) {
+  axeSource ||= await fs.readFile(require.resolve('axe-core/axe.min.js'), 'utf8');
+
+  const injected = await page.evaluate(() => typeof axe !== 'undefined');
+  if (!injected) {
+    await page.evaluate(axeSource);
+  }
+
+  return page.evaluate(async ({ tags, exclude, disableRules }) => {
+    const context = exclude.length > 0 ? { include: [document], exclude } : document;
+    const results = await axe.run(context, {
+      runOnly: { type: 'tag', values: tags },
+      rules: Object.fromEntries(disableRules.map(rule => [rule, { enabled: false }])),
+      resultTypes: ['violations'],
+    });
+
+    return results.violations.map(violation => ({
+      id: violation.id,
+      impact: violation.impact,
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      nodes: violation.nodes.map(node => ({
+        target: node.target.join(' '),
+        html: node.html,
+        summary: node.failureSummary,
+      })),
+    }));
+  }, options);
+}
+
+/**
+ * Count violations by impact
+ */
+function countByImpact(violations) {
+  return Object.fromEntries(
+    IMPACTS.map(impact => [impact, violations.filter(v => v.impact === impact).length])
+  );
+}
+
+/**
+ * Render the markdown report
+ */
+function renderMarkdown(report) {
+  const lines = [
+    '# Accessibility Audit',
+    '',
+    `Generated ${report.generatedAt} against ${report.baseUrl}.`,
+    '',
+    '| Screenshot | Violations | Critical | Serious | Moderate | Minor |',
+    '| ---------- | ---------- | -------- | ------- | -------- | ----- |',
+    ...report.pages.map(
+      ({ id, violations, impacts }) =>
+        `| ${id} | ${violations.length} | ${IMPACTS.map(impact => impacts[impact]).join(' | ')} |`
+    ),
+  ];
+
+  for (const { id, url, violations } of report.pages) {
+    if (violations.length === 0) continue;
+
+    lines.push('', `## ${id}`, '');
+    if (url) {
+      lines.push(`<${url}>`, '');
+    }
+    for (const violation of violations) {
+      lines.push(
+        `- **${violation.id}** (${violation.impact}): ${violation.help} ([rule](${violation.helpUrl}))`
+      );
+      for (const node of violation.nodes) {
+        lines.push(`  - \`${node.target.replace(/`/g, "'")}\``);
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write the JSON and markdown reports of a run
+ *
+ * `pages`: `[{ id, url, violations }]`. Returns the paths of both files.
+ */
+export async function writeAccessibilityReport(outputDir, { baseUrl, pages }) {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    baseUrl,
+    pages: pages.map(entry => ({ ...entry, impacts: countByImpact(entry.violations) })),
+  };
+
+  const jsonFile = path.join(outputDir, 'accessibility.json');
+  const markdownFile = path.join(outputDir, 'accessibility.md');
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(jsonFile, `${JSON.stringify(report, null, 2)}\n`);
+  await fs.writeFile(markdownFile, renderMarkdown(report));
+  return { jsonFile, markdownFile };
+}
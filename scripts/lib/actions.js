@@ -0,0 +1,197 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Declarative page actions executed before taking a screenshot
+ *
+ * An action is either the name of a macro (a built-in one or one defined in
+ * the `macros` section of the config) or a structured step:
+ *
+ *   { "type": "click", "selector": ".filter-name", "onFailure": "fail" }
+ *
+ * Every step accepts `onFailure`: 'warn' (default, log and continue),
+ * 'ignore' (continue silently) or 'fail' (abort the screenshot).
+ */
+
+/* global document */
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Delay helper
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Built-in macros, kept for the named actions used before the DSL existed
+ */
+export const BUILTIN_MACROS = {
+  enableHeatmap: [
+    { type: 'click', selector: '[cam-widget-search-pill-action="toggleHeatmap"]' },
+    { type: 'wait', ms: 1000 },
+  ],
+  openCreateFilterDialog: [
+    { type: 'click', selector: '[ng-click="createFilter()"]' },
+    { type: 'waitForSelector', selector: '.modal-dialog' },
+    { type: 'wait', ms: 500 },
+  ],
+  openFilterDetail: [
+    { type: 'click', selector: '.filter-name' },
+    { type: 'wait', ms: 500 },
+  ],
+};
+
+/**
+ * Step handlers, keyed by step type
+ */
+const STEP_HANDLERS = {
+  async click(page, { selector, button = 'left', clickCount = 1, timeout = DEFAULT_TIMEOUT }) {
+    await page.waitForSelector(selector, { visible: true, timeout });
+    await page.click(selector, { button, clickCount });
+  },
+
+  async type(
+    page,
+    { selector, text = '', clear = false, delay: keyDelay = 0, timeout = DEFAULT_TIMEOUT }
+  ) {
+    await page.waitForSelector(selector, { visible: true, timeout });
+    if (clear) {
+      // Delete the selected text with a key press, so the app sees an input event
+      await page.focus(selector);
+      await page.$eval(selector, element => element.select());
+      await page.keyboard.press('Backspace');
+    }
+    await page.type(selector, String(text), { delay: keyDelay });
+  },
+
+  async select(page, { selector, value, values, timeout = DEFAULT_TIMEOUT }) {
+    await page.waitForSelector(selector, { timeout });
+    const selected = await page.select(selector, ...(values || [value]));
+    if (selected.length === 0) {
+      throw new Error(`No option ${values || value} in ${selector}`);
+    }
+  },
+
+  async hover(page, { selector, timeout = DEFAULT_TIMEOUT }) {
+    await page.waitForSelector(selector, { visible: true, timeout });
+    await page.hover(selector);
+  },
+
+  async scroll(page, { selector, x = 0, y = 0, to }) {
+    if (selector) {
+      await page.$eval(
+        selector,
+        (element, position) => {
+          if (position === 'bottom') element.scrollTop = element.scrollHeight;
+          else element.scrollIntoView({ block: 'center' });
+        },
+        to
+      );
+    } else {
+      await page.evaluate(
+        (left, top, position) => {
+          const target = position === 'bottom' ? document.body.scrollHeight : top;
+          document.scrollingElement.scrollTo(left, target);
+        },
+        x,
+        y,
+        to
+      );
+    }
+  },
+
+  async waitForSelector(page, { selector, visible, hidden, timeout = DEFAULT_TIMEOUT }) {
+    await page.waitForSelector(selector, { visible, hidden, timeout });
+  },
+
+  async waitForText(page, { text, selector = 'body', timeout = DEFAULT_TIMEOUT }) {
+    await page.waitForFunction(
+      (scope, expected) =>
+        [...document.querySelectorAll(scope)].some(element =>
+          element.textContent.includes(expected)
+        ),
+      { timeout },
+      selector,
+      text
+    );
+  },
+
+  async press(page, { key, count = 1 }) {
+    for (let i = 0; i < count; i++) {
+      await page.keyboard.press(key);
+    }
+  },
+
+  async evaluate(page, { script }) {
+    await page.evaluate(script);
+  },
+
+  async wait(_page, { ms = 500 }) {
+    await delay(ms);
+  },
+};
+
+/**
+ * Describe a step for log output
+ */
+function describeStep(step) {
+  const target = step.selector || step.key || step.text || step.name || '';
+  return target ? `${step.type} ${target}` : step.type;
+}
+
+/**
+ * Normalize an action into a step object
+ */
+function normalizeStep(action) {
+  if (typeof action === 'string') {
+    return { type: 'macro', name: action };
+  }
+  return action;
+}
+
+/**
+ * Execute a list of actions on a page
+ *
+ * `options.beforeStep(page, step)` runs before every step, e.g. to pace a
+ * recording. Throws when a step with `onFailure: 'fail'` does not succeed.
+ */
+export async function executeActions(page, actions, macros = {}, options = {}) {
+  const allMacros = { ...BUILTIN_MACROS, ...macros };
+
+  for (const action of actions) {
+    const step = normalizeStep(action);
+    const { onFailure = 'warn' } = step;
+
+    try {
+      if (step.type === 'macro') {
+        const macroSteps = allMacros[step.name];
+        if (!macroSteps) {
+          throw new Error(`Unknown action: ${step.name}`);
+        }
+        // Steps inside a macro abort the macro; the macro's own policy applies
+        await executeActions(
+          page,
+          macroSteps.map(macroStep => ({ ...normalizeStep(macroStep), onFailure: 'fail' })),
+          macros,
+          options
+        );
+        continue;
+      }
+
+      const handler = STEP_HANDLERS[step.type];
+      if (!handler) {
+        throw new Error(`Unknown action type: ${step.type}`);
+      }
+      await options.beforeStep?.(page, step);
+      await handler(page, step);
+    } catch (error) {
+      const message = `Action ${describeStep(step)} failed: ${error.message}`;
+      if (onFailure === 'fail') {
+        throw new Error(message);
+      }
+      if (onFailure !== 'ignore') {
+        console.warn(`  ⚠ ${message}`);
+      }
+    }
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Annotation overlays drawn on the page before a screenshot is taken
+ *
+ * Annotation: `{ type, selector, label, position, color }`
+ * - badge: numbered circle at a corner of the element (`position`:
+ *   top-left (default), top-right, bottom-left, bottom-right)
+ * - outline: highlight box around the element
+ * - arrow: arrow pointing at the element (`position`: side the arrow comes
+ *   from; left (default), right, top or bottom)
+ * - dim: darkens everything except the element
+ */
+
+/* global document, window */
+
+const OVERLAY_ID = 'operaton-screenshot-annotations';
+
+/**
+ * Draw annotations on the page
+ *
+ * Returns the annotations (by selector) that could not be drawn.
+ */
+export function applyAnnotations(page, annotations) {
+  return page.evaluate(
+    (overlayId, items) => {
+      const SVG_NS = 'http://www.w3.org/2000/svg';
+      const missing = [];
+
+      const overlay = document.createElement('div');
+      overlay.id = overlayId;
+      Object.assign(overlay.style, {
+        position: 'absolute',
+        top: '0',
+        left: '0',
+        width: `${document.documentElement.scrollWidth}px`,
+        height: `${document.documentElement.scrollHeight}px`,
+        pointerEvents: 'none',
+        zIndex: '2147483647',
+      });
+      document.body.appendChild(overlay);
+
+      const box = (rect, styles) => {
+        const element = document.createElement('div');
+        Object.assign(element.style, { position: 'absolute', boxSizing: 'border-box' }, styles, {
+          top: `${rect.top}px`,
+          left: `${rect.left}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`,
+        });
+        overlay.appendChild(element);
+        return element;
+      };
+
+      const draw = {
+        badge(rect, { label, position = 'top-left', color }) {
+          const size = 26;
+          const [vertical, horizontal] = position.split('-');
+          const badge = box(
+            {
+              top: (vertical === 'bottom' ? rect.bottom : rect.top) - size / 2,
+              left: (horizontal === 'right' ? rect.right : rect.left) - size / 2,
+              width: size,
+              height: size,
+            },
+            {
+              borderRadius: '50%',
+              background: color,
+              color: '#fff',
+              font: 'bold 14px/26px sans-serif',
+              textAlign: 'center',
+              boxShadow: '0 1px 4px rgba(0, 0, 0, 0.4)',
+            }
+          );
+          badge.textContent = label;
+        },
+
+        outline(rect, { color }) {
+          const padding = 4;
+          box(
+            {
+              top: rect.top - padding,
+              left: rect.left - padding,
+              width: rect.width + padding * 2,
+              height: rect.height + padding * 2,
+            },
+            { border: `3px solid ${color}`, borderRadius: '4px' }
+          );
+        },
+
+        arrow(rect, { position = 'left', color, index }) {
+          const length = 80;
+          const centerX = rect.left + rect.width / 2;
+          const centerY = rect.top + rect.height / 2;
+          const tips = {
+            left: [rect.left - 4, centerY, -length, 0],
+            right: [rect.right + 4, centerY, length, 0],
+            top: [centerX, rect.top - 4, 0, -length],
+            bottom: [centerX, rect.bottom + 4, 0, length],
+          };
+          const [tipX, tipY, dx, dy] = tips[position] || tips.left;
+
+          const svg = document.createElementNS(SVG_NS, 'svg');
+          svg.setAttribute('width', overlay.style.width);
+          svg.setAttribute('height', overlay.style.height);
+          svg.style.position = 'absolute';
+          svg.style.top = '0';
+          svg.style.left = '0';
+          svg.innerHTML = `
+            <defs>
+              <marker id="${overlayId}-arrow-${index}" markerWidth="8" markerHeight="8"
+                      refX="6" refY="4" orient="auto">
+                <path d="M0,0 L8,4 L0,8 z" fill="${color}" />
+              </marker>
+            </defs>
+            <line x1="${tipX + dx}" y1="${tipY + dy}" x2="${tipX}" y2="${tipY}"
+                  stroke="${color}" stroke-width="4" stroke-linecap="round"
+                  marker-end="url(#${overlayId}-arrow-${index})" />`;
+          overlay.appendChild(svg);
+        },
+
+        dim(rect) {
+          box(rect, { boxShadow: '0 0 0 100000px rgba(0, 0, 0, 0.45)', borderRadius: '2px' });
+        },
+      };
+
+      items.forEach((item, index) => {
+        const { type = 'badge', selector, label = String(index + 1), color = '#e5533d' } = item;
+        if (!draw[type]) {
+          missing.push(`${selector} (unknown annotation type ${type})`);
+          return;
+        }
+
+        const target = document.querySelector(selector);
+        if (!target) {
+          missing.push(selector);
+          return;
+        }
+
+        const client = target.getBoundingClientRect();
+        const rect = {
+          top: client.top + window.scrollY,
+          left: client.left + window.scrollX,
+          bottom: client.bottom + window.scrollY,
+          right: client.right + window.scrollX,
+          width: client.width,
+          height: client.height,
+        };
+        draw[type](rect, { ...item, label, color, index });
+      });
+
+      return missing;
+    },
+    OVERLAY_ID,
+    annotations
+  );
+}
+
+/**
+ * Remove all annotation overlays from the page
+ */
+export async function removeAnnotations(page) {
+  await page.evaluate(overlayId => {
+    document.getElementById(overlayId)?.remove();
+  }, OVERLAY_ID);
+}
@@ -0,0 +1,337 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Command line handling shared by the scripts and the operaton-shots CLI
+ *
+ * Every command declares its options in COMMANDS. Arguments are parsed
+ * with util.parseArgs, so unknown options and missing values are usage
+ * errors instead of being ignored. Global options, accepted by every
+ * command:
+ * - --env <file>: load the environment from this file instead of .env
+ * - --config <path>: screenshot config file or fragment directory
+ * - --json: print the result as JSON on stdout; progress goes to stderr
+ * - --verbose: log every REST request and print stack traces
+ * - --help
+ *
+ * Commands end through finish() or fail(), which set the exit code
+ * (EXIT_CODES) and print the JSON result.
+ */
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { parseArgs } from 'util';
+
+import { formatCircuitReport } from './resilience.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  UNREACHABLE: 3,
+  INVALID_CONFIG: 4,
+  CHANGED: 5,
+};
+
+const EXIT_CODE_DESCRIPTIONS = {
+  OK: 'success',
+  FAILED: 'the command failed (e.g. failed deployments or screenshots)',
+  USAGE: 'invalid command line',
+  UNREACHABLE: 'the engine (or, for check, the webapps) cannot be reached',
+  INVALID_CONFIG: 'the screenshot config cannot be read or is invalid',
+  CHANGED: 'screenshots differ from the baseline (capture --compare)',
+};
+
+export const GLOBAL_OPTIONS = {
+  env: { type: 'string', value: '<file>', description: 'Load environment from this file' },
+  config: {
+    type: 'string',
+    value: '<path>',
+    description: 'Screenshot config file or fragment directory',
+  },
+  json: { type: 'boolean', description: 'Print the result as JSON, progress on stderr' },
+  verbose: {
+    type: 'boolean',
+    short: 'v',
+    description: 'Log every REST request and print stack traces',
+  },
+  help: { type: 'boolean', short: 'h', description: 'Show help' },
+};
+
+// Screenshot selection and capture options, shared by capture and prepare
+export const CAPTURE_OPTIONS = {
+  category: {
+    type: 'string',
+    multiple: true,
+    value: '<names>',
+    description: 'Only these categories',
+  },
+  id: { type: 'string', multiple: true, value: '<globs>', description: 'Only matching ids' },
+  tag: { type: 'string', multiple: true, value: '<tags>', description: 'Only these tags' },
+  'changed-since': {
+    type: 'string',
+    value: '<ref>',
+    description: 'Only entries whose config changed since this git revision',
+  },
+  locale: {
+    type: 'string',
+    multiple: true,
+    value: '<locales>',
+    description: 'Only these locales',
+  },
+  concurrency: {
+    type: 'string',
+    value: '<n>',
+    description: 'Screenshots captured in parallel',
+  },
+  compare: { type: 'boolean', description: 'Compare against the baseline' },
+  'update-baseline': { type: 'boolean', description: 'Compare and update the baseline' },
+  'fresh-login': { type: 'boolean', description: 'Ignore the saved session' },
+  audit: { type: 'boolean', description: 'Run the accessibility audit' },
+};
+
+export const COMMANDS = {
+  check: {
+    script: 'check-connection.js',
+    summary: 'Check the connection to the engine and the webapps',
+  },
+  status: {
+    script: 'show-status.js',
+    summary: 'Show counts of deployments, instances, tasks and identities',
+  },
+  deploy: {
+    script: 'deploy-processes.js',
+    summary: 'Deploy the BPMN and DMN files of the config',
+  },
+  data: {
+    script: 'generate-data.js',
+    summary: 'Create identities, tenants, instances, decisions and a batch (all without options)',
+    options: {
+      identities: { type: 'boolean', description: 'Users and groups of the config' },
+      tenants: { type: 'boolean', description: 'Tenants of the config with their members' },
+      instances: { type: 'boolean', description: 'Running and completed invoice instances' },
+      decisions: { type: 'boolean', description: 'Decision evaluations' },
+      batches: { type: 'boolean', description: 'A suspended batch over running instances' },
+      start: {
+        type: 'string',
+        multiple: true,
+        value: '<key:count>',
+        description: 'Running instances of a process (config or definition key)',
+      },
+    },
+  },
+  simulate: {
+    script: 'simulate-scenarios.js',
+    summary: 'Create token positions, history and task states (all without options)',
+    options: {
+      tokens: { type: 'boolean', description: 'Instances waiting at various activities' },
+      history: { type: 'boolean', description: 'Completed instances along different paths' },
+      tasks: { type: 'boolean', description: 'Assigned, unassigned and overdue tasks' },
+    },
+  },
+  incidents: {
+    script: 'create-incidents.js',
+    summary: 'Create incidents and failed jobs (all kinds without options)',
+    options: {
+      'script-errors': { type: 'boolean', description: 'Failing script tasks' },
+      'service-errors': { type: 'boolean', description: 'Failing service tasks' },
+      'expression-errors': { type: 'boolean', description: 'Failing expressions' },
+      'job-errors': { type: 'boolean', description: 'Failing async jobs and external tasks' },
+    },
+  },
+  capture: {
+    script: 'capture-screenshots.js',
+    summary: 'Capture the screenshots of the config',
+    options: CAPTURE_OPTIONS,
+  },
+  analyze: {
+    script: 'analyze-documentation.js',
+    summary: 'Find screenshots in the documentation that need replacing',
+    positionals: '[docs-path]',
+  },
+  reset: {
+    script: 'reset-environment.js',
+    summary: 'Delete instances, history, deployments and created identities',
+    options: {
+      force: { type: 'boolean', description: 'Do not ask for confirmation' },
+      'instances-only': { type: 'boolean', description: 'Only jobs and running instances' },
+      'deployments-only': { type: 'boolean', description: 'Only deployments (and instances)' },
+      'users-only': { type: 'boolean', description: 'Only created users, groups and tenants' },
+      'history-only': { type: 'boolean', description: 'Only history data' },
+    },
+  },
+  prepare: {
+    script: 'prepare-environment.js',
+    summary: 'Create only the data the selected screenshots require, then capture them',
+    options: {
+      ...CAPTURE_OPTIONS,
+      'dry-run': { type: 'boolean', description: 'Only show the plan' },
+      'skip-capture': { type: 'boolean', description: 'Prepare the data without capturing' },
+    },
+  },
+  validate: {
+    script: 'validate-config.js',
+    summary: 'Validate the screenshot config',
+    positionals: '[config-path]',
+  },
+};
+
+let current = { name: null, json: false, verbose: false };
+
+/**
+ * Split repeated and comma-separated option values into one list
+ */
+export function listValues(values) {
+  return [values || []]
+    .flat()
+    .flatMap(value => value.split(','))
+    .filter(Boolean);
+}
+
+/**
+ * Format option help lines
+ */
+function formatOptions(options) {
+  const rows = Object.entries(options).map(([name, { short, value, description }]) => [
+    `${short ? `-${short}, ` : ''}--${name}${value ? ` ${value}` : ''}`,
+    description,
+  ]);
+  const width = Math.max(...rows.map(([flags]) => flags.length)) + 2;
+  return rows.map(([flags, description]) => `  ${flags.padEnd(width)}${description}`);
+}
+
+/**
+ * Help text of a command
+ */
+export function formatCommandHelp(name) {
+  const { summary, options, positionals } = COMMANDS[name];
+  const lines = [
+    `Usage: operaton-shots ${name} [options]${positionals ? ` ${positionals}` : ''}`,
+    '',
+    summary,
+  ];
+  if (options) {
+    lines.push('', 'Options:', ...formatOptions(options));
+  }
+  lines.push('', 'Global options:', ...formatOptions(GLOBAL_OPTIONS));
+  return lines.join('\n');
+}
+
+/**
+ * Help text of the operaton-shots CLI
+ */
+export function formatHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length)) + 2;
+  return [
+    'Usage: operaton-shots <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(width)}${summary}`),
+    '',
+    'Global options:',
+    ...formatOptions(GLOBAL_OPTIONS),
+    '',
+    'Exit codes:',
+    ...Object.entries(EXIT_CODES).map(
+      ([key, code]) => `  ${String(code).padEnd(3)}${EXIT_CODE_DESCRIPTIONS[key]}`
+    ),
+    '',
+    'Run "operaton-shots <command> --help" for the options of a command.',
+  ].join('\n');
+}
+
+/**
+ * Report a usage error and exit
+ */
+function usageError(name, message) {
+  console.error(`✗ ${message}\n\nRun "operaton-shots ${name} --help" for usage.`);
+  process.exit(EXIT_CODES.USAGE);
+}
+
+/**
+ * Parse the arguments of a command and apply the global options
+ *
+ * Loads the environment (.env or --env), so call it before reading
+ * process.env. Exits on --help and on usage errors. Returns
+ * `{ options, positionals }`.
+ */
+export function parseCommandArgs(name, args = process.argv.slice(2)) {
+  const { options = {}, positionals } = COMMANDS[name];
+  // parseArgs rejects the help fields and undefined settings
+  const definitions = Object.fromEntries(
+    Object.entries({ ...GLOBAL_OPTIONS, ...options }).map(([option, { type, short, multiple }]) => [
+      option,
+      { type, ...(short && { short }), ...(multiple && { multiple }) },
+    ])
+  );
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: definitions, allowPositionals: Boolean(positionals) });
+  } catch (error) {
+    usageError(name, error.message);
+  }
+  const { values } = parsed;
+  if (parsed.positionals.length > 1) {
+    usageError(name, `Unexpected argument '${parsed.positionals[1]}'`);
+  }
+
+  if (values.help) {
+    console.log(formatCommandHelp(name));
+    process.exit(EXIT_CODES.OK);
+  }
+
+  current = { name, json: Boolean(values.json), verbose: Boolean(values.verbose) };
+  if (current.json) {
+    // Keep stdout for the JSON result
+    console.log = console.info = (...messages) => console.error(...messages);
+  }
+
+  const { error } = dotenv.config({ path: values.env || '.env', quiet: true });
+  if (error && values.env) {
+    usageError(name, `Cannot read environment file ${values.env}: ${error.message}`);
+  }
+  if (values.config) {
+    process.env.CONFIG_PATH = path.resolve(values.config);
+  }
+  if (values.verbose) {
+    process.env.LOG_REQUESTS = 'true';
+  }
+
+  return { options: values, positionals: parsed.positionals };
+}
+
+/**
+ * End the command with an exit code, printing `result` as JSON with --json
+ */
+export function finish(result = {}, exitCode = EXIT_CODES.OK) {
+  if (current.json) {
+    const output = { command: current.name, ok: exitCode === EXIT_CODES.OK, exitCode, ...result };
+    process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+  }
+  process.exit(exitCode);
+}
+
+/**
+ * Exit code for an error that ended a command
+ */
+function exitCodeOf(error) {
+  if (error.name === 'ConfigError') return EXIT_CODES.INVALID_CONFIG;
+  if (error.name === 'CircuitOpenError') return EXIT_CODES.UNREACHABLE;
+  if (error.name === 'OperatonError' && error.status === undefined) {
+    return EXIT_CODES.UNREACHABLE;
+  }
+  return EXIT_CODES.FAILED;
+}
+
+/**
+ * End the command because of an error
+ */
+export function fail(error) {
+  if (error.name === 'CircuitOpenError') {
+    console.error(`\n${formatCircuitReport(error)}`);
+  } else {
+    console.error('Fatal error:', current.verbose ? error : error.message);
+  }
+  finish({ error: error.message }, exitCodeOf(error));
+}
@@ -0,0 +1,78 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Visual regression diffing of captured screenshots
+ *
+ * Compares a fresh capture against the committed baseline pixel by pixel
+ * and writes a diff image for every screenshot that changed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+
+export const DEFAULT_COMPARE_OPTIONS = {
+  // Per-pixel color distance (0 to 1) below which pixels are considered equal
+  threshold: 0.1,
+  // Fraction of differing pixels tolerated before a screenshot counts as changed
+  maxDiffRatio: 0,
+};
+
+/**
+ * Read a PNG file, or return null if it does not exist
+ */
+async function readPng(filePath) {
+  try {
+    return PNG.sync.read(await fs.readFile(filePath));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Compare a captured screenshot with its baseline
+ *
+ * Returns `{ status, diffPixels, diffRatio, diffPath, reason }` where status
+ * is 'new' (no baseline), 'pass' or 'changed'.
+ */
+export async function compareScreenshot(actualPath, baselinePath, diffPath, options = {}) {
+  const { threshold, maxDiffRatio } = { ...DEFAULT_COMPARE_OPTIONS, ...options };
+
+  const baseline = await readPng(baselinePath);
+  if (!baseline) {
+    return { status: 'new' };
+  }
+
+  const actual = await readPng(actualPath);
+  if (actual.width !== baseline.width || actual.height !== baseline.height) {
+    return {
+      status: 'changed',
+      reason: `size changed from ${baseline.width}x${baseline.height} to ${actual.width}x${actual.height}`,
+    };
+  }
+
+  const { width, height } = actual;
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, {
+    threshold,
+  });
+  const diffRatio = diffPixels / (width * height);
+
+  if (diffPixels === 0 || diffRatio <= maxDiffRatio) {
+    return { status: 'pass', diffPixels, diffRatio };
+  }
+
+  await fs.mkdir(path.dirname(diffPath), { recursive: true });
+  await fs.writeFile(diffPath, PNG.sync.write(diff));
+
+  return {
+    status: 'changed',
+    diffPixels,
+    diffRatio,
+    diffPath,
+    reason: `${diffPixels} pixels (${(diffRatio * 100).toFixed(2)}%) differ`,
+  };
+}
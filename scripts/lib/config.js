@@ -0,0 +1,449 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Load and validate config/screenshots.json
+ *
+ * The config may be split into fragments: a file can `include` glob
+ * patterns of further files (relative to itself), and a directory is read
+ * as all `*.json` files below it. Fragments are merged in path order;
+ * `screenshots`, `users`, `groups` and `tenants` are concatenated, keyed sections
+ * (`categories`, `macros`, `templates`, `processes`, `decisions`,
+ * `defaults`) must not define the same key twice.
+ *
+ * A screenshot or template can `extends` a named template or another
+ * screenshot (or a list of them, applied in order). It inherits all of
+ * their settings except `id` and `outputFile`; `viewport` and
+ * `requirements` are merged key by key, everything else is replaced.
+ *
+ * The structure is checked against config/screenshots.schema.json. On top
+ * of that, references between sections are checked: categories, macros and
+ * processes used by screenshots, group and tenant members, and output
+ * paths that would overwrite each other.
+ *
+ * Problems that stop a run are errors; problems that only affect a part of
+ * it (such as a process file that is not there yet) are warnings.
+ */
+
+import Ajv2019 from 'ajv/dist/2019.js';
+import { existsSync } from 'fs';
+import fs from 'fs/promises';
+import { glob } from 'glob';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { BUILTIN_MACROS } from './actions.js';
+import { expandLocales } from './locales.js';
+import { DEFAULT_OUTPUTS, outputPath } from './outputs.js';
+import { DEFAULT_RECORDING } from './recording.js';
+import { DEFAULT_QUERIES } from './variables.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const SCHEMA_PATH = path.join(__dirname, '../../config/screenshots.schema.json');
+
+const LIST_SECTIONS = ['screenshots', 'users', 'groups', 'tenants'];
+const KEYED_SECTIONS = ['defaults', 'categories', 'macros', 'templates', 'processes', 'decisions'];
+const MERGED_SETTINGS = ['viewport', 'requirements'];
+const NOT_INHERITED = ['id', 'outputFile', 'extends'];
+
+let schemaValidator;
+
+/**
+ * Error of a config that cannot be read or is invalid
+ */
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Config fragment files of a directory, in path order
+ */
+async function directoryFragments(dir) {
+  const files = await glob('**/*.json', { cwd: dir, absolute: true, ignore: '**/*.schema.json' });
+  return files.sort();
+}
+
+/**
+ * Read and parse one fragment file
+ */
+async function readFragment(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Cannot read config ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Merge fragments into one config, following `include` patterns
+ */
+async function assembleFragments(files) {
+  const configData = {};
+  const definedIn = new Map();
+  const queue = [...files];
+  const seen = new Set();
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+    if (seen.has(file)) continue;
+    seen.add(file);
+
+    const { include = [], ...fragment } = await readFragment(file);
+    for (const pattern of include) {
+      const matches = await glob(pattern, { cwd: path.dirname(file), absolute: true });
+      if (matches.length === 0) {
+        throw new ConfigError(`${file}: include "${pattern}" matches no files`);
+      }
+      queue.push(...matches.sort());
+    }
+
+    for (const [section, value] of Object.entries(fragment)) {
+      if (LIST_SECTIONS.includes(section)) {
+        configData[section] = [...(configData[section] || []), ...value];
+      } else if (KEYED_SECTIONS.includes(section)) {
+        configData[section] ||= {};
+        for (const [key, entry] of Object.entries(value)) {
+          const previous = definedIn.get(`${section}.${key}`);
+          if (previous) {
+            throw new ConfigError(`${section}.${key} is defined in both ${previous} and ${file}`);
+          }
+          definedIn.set(`${section}.${key}`, file);
+          configData[section][key] = entry;
+        }
+      } else if (!(section in configData)) {
+        configData[section] = value;
+      }
+    }
+  }
+
+  return configData;
+}
+
+/**
+ * Apply one inherited entry below another
+ */
+function inherit(base, entry) {
+  const merged = { ...base, ...entry };
+  for (const key of MERGED_SETTINGS) {
+    if (base[key] && entry[key]) merged[key] = { ...base[key], ...entry[key] };
+  }
+  return merged;
+}
+
+/**
+ * Resolve `extends` of all templates and screenshots
+ */
+function resolveExtends(configData) {
+  const templates = configData.templates || {};
+  const screenshots = new Map((configData.screenshots || []).map(s => [s.id, s]));
+
+  function resolve(entry, chain) {
+    if (!entry.extends) return entry;
+
+    const parents = [entry.extends].flat().map(name => {
+      if (chain.includes(name)) {
+        throw new ConfigError(`Circular extends: ${[...chain, name].join(' → ')}`);
+      }
+      const parent = templates[name] || screenshots.get(name);
+      if (!parent) {
+        throw new ConfigError(`${chain.at(-1)}: extends unknown template or screenshot "${name}"`);
+      }
+      const inherited = { ...resolve(parent, [...chain, name]) };
+      for (const key of NOT_INHERITED) delete inherited[key];
+      return inherited;
+    });
+
+    const { extends: _, ...own } = entry;
+    return [...parents, own].reduce(inherit, {});
+  }
+
+  return {
+    ...configData,
+    ...(configData.templates && {
+      templates: Object.fromEntries(
+        Object.entries(templates).map(([name, template]) => [name, resolve(template, [name])])
+      ),
+    }),
+    ...(configData.screenshots && {
+      screenshots: configData.screenshots.map(s => resolve(s, [s.id])),
+    }),
+  };
+}
+
+/**
+ * Read a config file or directory without validating it
+ *
+ * Includes are merged and `extends` is resolved, so the result has the
+ * shape of a single-file config.
+ */
+export async function readConfig(configPath) {
+  let stat;
+  try {
+    stat = await fs.stat(configPath);
+  } catch (error) {
+    throw new ConfigError(`Cannot read config ${configPath}: ${error.message}`);
+  }
+
+  const files = stat.isDirectory() ? await directoryFragments(configPath) : [configPath];
+  if (files.length === 0) {
+    throw new ConfigError(`No config files in ${configPath}`);
+  }
+  return resolveExtends(await assembleFragments(files));
+}
+
+/**
+ * Compile the JSON schema once
+ */
+async function compileSchema() {
+  if (!schemaValidator) {
+    const schema = JSON.parse(await fs.readFile(SCHEMA_PATH, 'utf8'));
+    schemaValidator = new Ajv2019({ allErrors: true, allowUnionTypes: true }).compile(schema);
+  }
+  return schemaValidator;
+}
+
+/**
+ * Turn an ajv error into a readable message
+ */
+function formatSchemaError(error) {
+  const where = error.instancePath || '/';
+  const { params } = error;
+  if (params.additionalProperty) return `${where}: unknown property "${params.additionalProperty}"`;
+  if (params.unevaluatedProperty) {
+    return `${where}: unknown property "${params.unevaluatedProperty}"`;
+  }
+  if (params.allowedValues) return `${where}: must be one of ${params.allowedValues.join(', ')}`;
+  return `${where}: ${error.message}`;
+}
+
+/**
+ * Screenshot label for messages
+ */
+const label = (screenshot, index) => `screenshot ${screenshot.id || `#${index}`}`;
+
+/**
+ * Normalize an action into the macro name it refers to, if any
+ */
+function macroName(action) {
+  if (typeof action === 'string') return action;
+  return action?.type === 'macro' ? action.name : null;
+}
+
+/**
+ * Output files a screenshot writes, relative to the output directory
+ */
+function outputFiles(screenshot, defaults = {}) {
+  const base = screenshot.outputFile.slice(
+    0,
+    screenshot.outputFile.length - path.extname(screenshot.outputFile).length
+  );
+
+  if (screenshot.type === 'recording') {
+    const formats =
+      screenshot.recording?.formats || defaults.recording?.formats || DEFAULT_RECORDING.formats;
+    return formats.map(format => `${base}.${format}`);
+  }
+
+  const outputs = screenshot.outputs || defaults.outputs || DEFAULT_OUTPUTS;
+  return outputs.map(output => {
+    try {
+      return outputPath(screenshot.outputFile, output);
+    } catch {
+      return null;
+    }
+  });
+}
+
+/**
+ * Check references between config sections
+ */
+function checkReferences(configData, baseDir) {
+  const errors = [];
+  const warnings = [];
+  const {
+    defaults = {},
+    categories = {},
+    macros = {},
+    screenshots = [],
+    processes = {},
+    decisions = {},
+    users = [],
+    groups = [],
+    tenants = [],
+  } = configData;
+
+  // Processes and decisions can be referenced by config key, definition key or name
+  const refsOf = deployables =>
+    new Set(Object.entries(deployables).flatMap(([key, d]) => [key, d.key, d.name]));
+  const processRefs = refsOf(processes);
+  const decisionRefs = refsOf(decisions);
+  const deployableRefs = new Set([...processRefs, ...decisionRefs]);
+  const userIds = new Set(users.map(user => user.id));
+  const groupIds = new Set(groups.map(group => group.id));
+  const tenantIds = new Set(tenants.map(tenant => tenant.id));
+  const macroNames = new Set([...Object.keys(BUILTIN_MACROS), ...Object.keys(macros)]);
+
+  if (defaults.clock && Number.isNaN(Date.parse(defaults.clock))) {
+    errors.push(`defaults.clock: invalid date "${defaults.clock}"`);
+  }
+
+  for (const [name, steps] of Object.entries(macros)) {
+    for (const step of steps) {
+      const ref = macroName(step);
+      if (ref && !macroNames.has(ref)) errors.push(`macro ${name}: unknown macro "${ref}"`);
+      if (ref === name) errors.push(`macro ${name}: calls itself`);
+    }
+  }
+
+  for (const [section, deployables] of Object.entries({ processes, decisions })) {
+    for (const [key, deployable] of Object.entries(deployables)) {
+      if (baseDir && deployable.file && !existsSync(path.join(baseDir, deployable.file))) {
+        warnings.push(`${section}.${key}: file ${deployable.file} not found`);
+      }
+    }
+  }
+
+  const seenIds = new Set();
+  screenshots.forEach((screenshot, index) => {
+    const name = label(screenshot, index);
+    if (seenIds.has(screenshot.id)) errors.push(`${name}: duplicate id`);
+    seenIds.add(screenshot.id);
+
+    if (screenshot.category && !categories[screenshot.category]) {
+      errors.push(`${name}: unknown category "${screenshot.category}"`);
+    }
+
+    for (const action of screenshot.actions || []) {
+      const ref = macroName(action);
+      if (ref && !macroNames.has(ref)) errors.push(`${name}: unknown macro "${ref}"`);
+    }
+
+    for (const query of [screenshot.dynamicVariable || []].flat()) {
+      const queryName = typeof query === 'string' ? query : query.name;
+      if (!DEFAULT_QUERIES[queryName] && !query.endpoint) {
+        errors.push(`${name}: no endpoint for dynamic variable {${queryName}}`);
+      }
+    }
+
+    const requirements = screenshot.requirements || {};
+    const checkRefs = (type, refs, known, what) => {
+      for (const ref of refs) {
+        if (ref !== 'any' && !known.has(ref)) {
+          errors.push(`${name}: requirements.${type} references unknown ${what} "${ref}"`);
+        }
+      }
+    };
+    checkRefs('deployments', requirements.deployments || [], deployableRefs, 'deployment');
+    checkRefs('instances', Object.keys(requirements.instances || {}), processRefs, 'process');
+    checkRefs(
+      'completedInstances',
+      Object.keys(requirements.completedInstances || {}),
+      processRefs,
+      'process'
+    );
+    checkRefs(
+      'decisionInstances',
+      Object.keys(requirements.decisionInstances || {}),
+      decisionRefs,
+      'decision'
+    );
+    checkRefs('activeInstance', [requirements.activeInstance || []].flat(), processRefs, 'process');
+    checkRefs(
+      'multipleVersions',
+      [requirements.multipleVersions || []].flat(),
+      processRefs,
+      'process'
+    );
+
+    // Identities may also be created outside of generate-data
+    const identities = [
+      ['users', requirements.users || [], userIds, 'user'],
+      ['tasks.user', [requirements.tasks?.user || []].flat(), userIds, 'user'],
+      ['groups', requirements.groups || [], groupIds, 'group'],
+      ['tenants', requirements.tenants || [], tenantIds, 'tenant'],
+    ];
+    for (const [type, refs, known, what] of identities) {
+      for (const ref of refs.filter(ref => !known.has(ref))) {
+        warnings.push(`${name}: requirements.${type} references ${what} "${ref}" not in config`);
+      }
+    }
+  });
+
+  for (const group of groups) {
+    for (const member of group.members || []) {
+      if (!userIds.has(member)) errors.push(`group ${group.id}: unknown member "${member}"`);
+    }
+  }
+
+  for (const tenant of tenants) {
+    for (const user of (tenant.users || []).filter(id => !userIds.has(id))) {
+      errors.push(`tenant ${tenant.id}: unknown user "${user}"`);
+    }
+    for (const group of (tenant.groups || []).filter(id => !groupIds.has(id))) {
+      errors.push(`tenant ${tenant.id}: unknown group "${group}"`);
+    }
+  }
+
+  // Every locale variant of every output must land in its own file
+  const owners = new Map();
+  for (const screenshot of expandLocales(
+    screenshots.filter(s => s.outputFile),
+    defaults
+  )) {
+    const owner = screenshot.locale ? `${screenshot.id} (${screenshot.locale})` : screenshot.id;
+    for (const file of outputFiles(screenshot, defaults).filter(Boolean)) {
+      const previous = owners.get(file);
+      if (previous && previous !== owner) {
+        errors.push(`output ${file} is written by both ${previous} and ${owner}`);
+      } else if (previous) {
+        errors.push(`${owner}: writes ${file} more than once`);
+      }
+      owners.set(file, owner);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate parsed config data
+ *
+ * `baseDir` is the directory file references are resolved against; without
+ * it, file checks are skipped. Returns `{ valid, errors, warnings }`.
+ */
+export async function validateConfig(configData, { baseDir } = {}) {
+  const validate = await compileSchema();
+  if (!validate(configData)) {
+    // References cannot be checked reliably in a malformed config; the
+    // `if`/`oneOf` wrappers only repeat what their branches already report
+    const errors = validate.errors.filter(error => !['if', 'oneOf'].includes(error.keyword));
+    return { valid: false, errors: errors.map(formatSchemaError), warnings: [] };
+  }
+
+  const { errors, warnings } = checkReferences(configData, baseDir);
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Read and validate a config file or directory
+ *
+ * Warnings are logged; errors throw. Returns the config data.
+ */
+export async function loadConfig(configPath) {
+  const configData = await readConfig(configPath);
+  const { valid, errors, warnings } = await validateConfig(configData, {
+    baseDir: path.join(path.dirname(configPath), '..'),
+  });
+  for (const warning of warnings) {
+    console.warn(`⚠ Config: ${warning}`);
+  }
+  if (!valid) {
+    throw new ConfigError(
+      `Invalid config ${configPath}:\n${errors.map(error => `  - ${error}`).join('\n')}`
+    );
+  }
+  return configData;
+}
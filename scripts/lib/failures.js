@@ -0,0 +1,193 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Debugging artifacts for failed captures
+ *
+ * A recorder collects console messages and network traffic of a page while
+ * a screenshot is being captured. When the capture fails, everything is
+ * written to `<failures dir>/<id>/`:
+ * - page.png: full-page screenshot of the page as it was
+ * - dom.html: serialized DOM
+ * - console.log: browser console messages and uncaught page errors
+ * - failed-requests.json: requests that failed or returned HTTP >= 400
+ * - network.har: HAR of all requests since the capture started, with
+ *   credential headers, cookies and form values redacted
+ * - error.txt: the error message and stack
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Headers that carry credentials or session tokens
+const SENSITIVE_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-xsrf-token',
+];
+const REDACTED = '[redacted]';
+
+const toNameValue = (headers = {}) =>
+  Object.entries(headers).map(([name, value]) => ({
+    name,
+    value: SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : String(value),
+  }));
+
+/**
+ * HAR post data of a request
+ *
+ * Form bodies (such as the login form with the password) keep only their
+ * field names; other bodies are kept as they are.
+ */
+function harPostData(postData, mimeType) {
+  if (mimeType.includes('application/x-www-form-urlencoded')) {
+    const params = [...new URLSearchParams(postData).keys()].map(name => ({
+      name,
+      value: REDACTED,
+    }));
+    return {
+      mimeType,
+      params,
+      text: params.map(({ name }) => `${encodeURIComponent(name)}=${REDACTED}`).join('&'),
+    };
+  }
+  if (mimeType.includes('multipart/form-data')) {
+    return { mimeType, text: REDACTED };
+  }
+  return { mimeType, text: postData };
+}
+
+/**
+ * Build a HAR entry for a finished or failed request
+ */
+function harEntry(request, started, failure = null) {
+  const response = request.response();
+  const url = new URL(request.url());
+  const headers = response?.headers() || {};
+  const postData = request.postData();
+
+  return {
+    startedDateTime: new Date(started).toISOString(),
+    time: Date.now() - started,
+    request: {
+      method: request.method(),
+      url: request.url(),
+      httpVersion: 'HTTP/1.1',
+      headers: toNameValue(request.headers()),
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      cookies: [],
+      headersSize: -1,
+      bodySize: postData ? Buffer.byteLength(postData) : 0,
+      ...(postData && {
+        postData: harPostData(postData, request.headers()['content-type'] || ''),
+      }),
+    },
+    response: {
+      status: response?.status() || 0,
+      statusText: response?.statusText() || failure || '',
+      httpVersion: 'HTTP/1.1',
+      headers: toNameValue(headers),
+      cookies: [],
+      content: {
+        size: parseInt(headers['content-length']) || 0,
+        mimeType: headers['content-type'] || '',
+      },
+      redirectURL: headers.location || '',
+      headersSize: -1,
+      bodySize: parseInt(headers['content-length']) || -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: Date.now() - started, receive: 0 },
+    ...(failure && { _error: failure }),
+  };
+}
+
+/**
+ * Start recording console messages and network traffic of a page
+ */
+export function createRecorder(page) {
+  const started = new Map();
+  let consoleMessages = [];
+  let failedRequests = [];
+  let entries = [];
+
+  page.on('console', message => {
+    consoleMessages.push(`[${new Date().toISOString()}] ${message.type()}: ${message.text()}`);
+  });
+  page.on('pageerror', error => {
+    consoleMessages.push(`[${new Date().toISOString()}] pageerror: ${error.message}`);
+  });
+
+  page.on('request', request => started.set(request, Date.now()));
+  page.on('requestfinished', request => {
+    entries.push(harEntry(request, started.get(request) ?? Date.now()));
+    started.delete(request);
+
+    const response = request.response();
+    if (response && response.status() >= 400) {
+      failedRequests.push({
+        method: request.method(),
+        url: request.url(),
+        status: response.status(),
+        statusText: response.statusText(),
+      });
+    }
+  });
+  page.on('requestfailed', request => {
+    const errorText = request.failure()?.errorText || 'failed';
+    entries.push(harEntry(request, started.get(request) ?? Date.now(), errorText));
+    started.delete(request);
+    failedRequests.push({ method: request.method(), url: request.url(), error: errorText });
+  });
+
+  /**
+   * Forget everything recorded so far (call before each capture)
+   */
+  function reset() {
+    started.clear();
+    consoleMessages = [];
+    failedRequests = [];
+    entries = [];
+  }
+
+  /**
+   * Write the failure artifacts for a screenshot
+   *
+   * Artifacts that cannot be produced (e.g. the page crashed) are skipped.
+   */
+  async function save(dir, error) {
+    await fs.mkdir(dir, { recursive: true });
+
+    await fs.writeFile(path.join(dir, 'error.txt'), `${error.stack || error.message}\n`);
+    await fs.writeFile(path.join(dir, 'console.log'), `${consoleMessages.join('\n')}\n`);
+    await fs.writeFile(
+      path.join(dir, 'failed-requests.json'),
+      JSON.stringify(failedRequests, null, 2)
+    );
+    await fs.writeFile(
+      path.join(dir, 'network.har'),
+      JSON.stringify(
+        {
+          log: {
+            version: '1.2',
+            creator: { name: 'operaton-screenshot-automation', version: '1.0.0' },
+            entries,
+          },
+        },
+        null,
+        2
+      )
+    );
+
+    try {
+      await page.screenshot({ path: path.join(dir, 'page.png'), fullPage: true });
+      await fs.writeFile(path.join(dir, 'dom.html'), await page.content());
+    } catch (artifactError) {
+      console.warn(`  ⚠ Could not capture page state: ${artifactError.message}`);
+    }
+  }
+
+  return { reset, save };
+}
@@ -0,0 +1,232 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Static HTML gallery for reviewing a capture run
+ *
+ * Built from the capture manifest and written as `index.html` next to it.
+ * The page has no external dependencies: baseline and diff images that live
+ * outside the output directory are copied into `_gallery/`, so the output
+ * folder can be zipped, moved and opened offline.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const GALLERY_FILE = 'index.html';
+const ASSETS_DIR = '_gallery';
+
+const STYLES = `
+  body { font-family: system-ui, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { padding: 16px 24px; background: #24292f; color: #fff; }
+  header h1 { margin: 0 0 4px; font-size: 20px; }
+  header p { margin: 0; font-size: 13px; opacity: 0.8; }
+  nav { padding: 8px 24px; background: #fff; border-bottom: 1px solid #d0d7de; font-size: 14px; }
+  nav a { margin-right: 16px; }
+  main { padding: 0 24px 24px; }
+  h2 { margin: 24px 0 4px; text-transform: capitalize; }
+  h2 + p { margin: 0 0 12px; color: #57606a; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(320px, 1fr)); gap: 16px; }
+  .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; overflow: hidden; }
+  .card.changed { border-color: #bf8700; }
+  .card.failed { border-color: #cf222e; }
+  .card > a img { display: block; width: 100%; height: 180px; object-fit: cover; object-position: top; }
+  .card .placeholder { height: 180px; display: flex; align-items: center; justify-content: center;
+    background: #eaeef2; color: #57606a; font-size: 13px; padding: 0 16px; text-align: center; }
+  .card .body { padding: 8px 12px 12px; font-size: 13px; }
+  .card .id { font-weight: 600; font-size: 14px; }
+  .card code { font-size: 12px; word-break: break-all; }
+  .card ul { margin: 4px 0; padding-left: 18px; }
+  .badge { display: inline-block; padding: 0 6px; border-radius: 10px; font-size: 11px;
+    font-weight: 600; color: #fff; background: #57606a; }
+  .badge.captured, .badge.pass, .badge.met { background: #1a7f37; }
+  .badge.skipped, .badge.new { background: #0969da; }
+  .badge.failed, .badge.unmet { background: #cf222e; }
+  .badge.changed { background: #bf8700; }
+  details.compare { grid-column: 1 / -1; }
+  .compare .views { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; margin-top: 8px; }
+  .compare figure { margin: 0; }
+  .compare figcaption { font-size: 12px; color: #57606a; }
+  .compare img { width: 100%; border: 1px solid #d0d7de; }
+`;
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * URL of a file relative to the gallery page
+ */
+const href = file => file.split(path.sep).map(encodeURIComponent).join('/');
+
+/**
+ * Copy a file that lives outside the output directory into the gallery assets
+ *
+ * Returns the path to use from the gallery page, or null if the file is gone.
+ */
+async function localCopy(outputDir, file, kind, id) {
+  if (!file) return null;
+  if (!file.startsWith('..') && !path.isAbsolute(file)) return file;
+
+  const source = path.resolve(outputDir, file);
+  const target = path.join(ASSETS_DIR, kind, `${id}${path.extname(source)}`);
+  try {
+    await fs.mkdir(path.join(outputDir, path.dirname(target)), { recursive: true });
+    await fs.copyFile(source, path.join(outputDir, target));
+    return target;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Render the requirements status of an entry
+ */
+function renderRequirements(requirements) {
+  if (!requirements) return '';
+  if (requirements.met) {
+    return '<div>Requirements: <span class="badge met">met</span></div>';
+  }
+  const unmet = requirements.unmet.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+  return `<div>Requirements: <span class="badge unmet">unmet</span><ul>${unmet}</ul></div>`;
+}
+
+/**
+ * Render the before/after/diff views of a compared entry
+ */
+function renderComparison(entry, primary, images) {
+  const { comparison } = entry;
+  if (!comparison || comparison.status === 'new' || !primary) return '';
+
+  const views = [
+    ['Baseline', images.baseline],
+    ['Current', primary.path],
+    ['Diff', images.diff],
+  ]
+    .filter(([, file]) => file)
+    .map(
+      ([label, file]) =>
+        `<figure><a href="${href(file)}"><img loading="lazy" src="${href(file)}" alt="${label}"></a>` +
+        `<figcaption>${label}</figcaption></figure>`
+    )
+    .join('');
+
+  return `<details class="compare"${comparison.status === 'changed' ? ' open' : ''}>
+    <summary>Before / after${comparison.reason ? ` – ${escapeHtml(comparison.reason)}` : ''}</summary>
+    <div class="views">${views}</div>
+  </details>`;
+}
+
+/**
+ * Render one screenshot card
+ */
+async function renderCard(entry, outputDir) {
+  const viewable = entry.files.filter(file => ['png', 'jpeg', 'webp', 'gif'].includes(file.format));
+  const primary = entry.files.find(file => file.format === 'png') || viewable[0];
+  const thumbnail = [...viewable].sort((a, b) => a.width - b.width)[0];
+  const key = entry.locale ? `${entry.id}-${entry.locale}` : entry.id;
+  const images = {
+    baseline: await localCopy(outputDir, entry.comparison?.baseline, 'baseline', key),
+    diff: await localCopy(outputDir, entry.comparison?.diff, 'diff', key),
+  };
+
+  const preview = thumbnail
+    ? `<a href="${href(primary.path)}"><img loading="lazy" src="${href(thumbnail.path)}" alt="${escapeHtml(entry.id)}"></a>`
+    : `<div class="placeholder">${escapeHtml(entry.reason || 'No image')}</div>`;
+
+  const badges = [`<span class="badge ${entry.status}">${entry.status}</span>`];
+  if (entry.locale) {
+    badges.push(`<span class="badge">${escapeHtml(entry.locale)}</span>`);
+  }
+  if (entry.comparison) {
+    badges.push(`<span class="badge ${entry.comparison.status}">${entry.comparison.status}</span>`);
+  }
+
+  const details = [
+    `<div class="id">${escapeHtml(entry.id)} ${badges.join(' ')}</div>`,
+    entry.description && `<div>${escapeHtml(entry.description)}</div>`,
+    entry.path && `<div>Path: <code>${escapeHtml(entry.path)}</code></div>`,
+    entry.url &&
+      `<div>URL: <a href="${escapeHtml(entry.url)}"><code>${escapeHtml(entry.url)}</code></a></div>`,
+    renderRequirements(entry.requirements),
+    entry.status !== 'captured' && entry.reason && `<div>Reason: ${escapeHtml(entry.reason)}</div>`,
+    entry.artifacts &&
+      `<div>Artifacts: <a href="${href(entry.artifacts)}/">${escapeHtml(entry.artifacts)}</a></div>`,
+    primary &&
+      `<div>${entry.files.map(file => `<a href="${href(file.path)}">${escapeHtml(path.basename(file.path))}</a> (${file.width}×${file.height})`).join(', ')}</div>`,
+  ].filter(Boolean);
+
+  return `<div class="card ${entry.comparison?.status === 'changed' ? 'changed' : entry.status}" id="${escapeHtml(key)}">
+    ${preview}
+    <div class="body">${details.join('\n')}</div>
+  </div>
+  ${renderComparison(entry, primary, images)}`;
+}
+
+/**
+ * Write the gallery page for a manifest
+ *
+ * `categories` are the category definitions from the screenshot config,
+ * used for their descriptions. Returns the path of the written file.
+ */
+export async function writeGallery(outputDir, manifest, categories = {}) {
+  const groups = new Map();
+  for (const entry of manifest.screenshots) {
+    if (!groups.has(entry.category)) groups.set(entry.category, []);
+    groups.get(entry.category).push(entry);
+  }
+
+  const sections = [];
+  for (const [category, entries] of groups) {
+    const cards = [];
+    for (const entry of entries) {
+      cards.push(await renderCard(entry, outputDir));
+    }
+    sections.push(`<section id="category-${escapeHtml(category)}">
+  <h2>${escapeHtml(category)}</h2>
+  <p>${escapeHtml(categories[category]?.description || '')}</p>
+  <div class="grid">
+  ${cards.join('\n')}
+  </div>
+</section>`);
+  }
+
+  const { summary } = manifest;
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Operaton Screenshots</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>Operaton Screenshots</h1>
+  <p>${escapeHtml(manifest.baseUrl)} · Operaton ${escapeHtml(manifest.operatonVersion || 'unknown')} ·
+  ${escapeHtml(manifest.generatedAt)} · ${summary.captured} captured, ${summary.skipped} skipped,
+  ${summary.failed} failed</p>
+</header>
+<nav>${[...groups.keys()]
+    .map(
+      category =>
+        `<a href="#category-${escapeHtml(category)}">${escapeHtml(category)} (${groups.get(category).length})</a>`
+    )
+    .join('')}</nav>
+<main>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+
+  const file = path.join(outputDir, GALLERY_FILE);
+  await fs.writeFile(file, html);
+  return file;
+}
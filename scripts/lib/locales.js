@@ -0,0 +1,146 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Localized captures
+ *
+ * `locales` (in `defaults` or per screenshot) lists the webapp languages a
+ * screenshot is captured in. Each locale is written to a `<locale>/`
+ * subfolder of the output directory. The language is switched through the
+ * webapps' stored language preference and the Accept-Language header.
+ *
+ * Locale fixtures (`config/locales/<locale>.json`) translate data labels
+ * such as creditor names, which come from the engine and are not covered by
+ * the webapp translations. Labels are only replaced inside the elements
+ * matching `selectors`, so the webapps' own texts are left as rendered:
+ * `{ "selectors": [".business-key"], "labels": { "Travel Expenses": "Reisekosten" } }`
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/* global document, localStorage, NodeFilter */
+
+// Key under which the webapps store the user's language choice
+const LOCALE_STORAGE_KEY = 'camLocale';
+
+// Per page: the applied locale and the CDP session holding the overrides
+const localeState = new WeakMap();
+
+/**
+ * Expand screenshots into one capture per locale
+ *
+ * Screenshots without locales are kept as they are. `only` restricts the
+ * run to the given locales.
+ */
+export function expandLocales(screenshots, defaults = {}, only = []) {
+  return screenshots.flatMap(screenshot => {
+    let locales = screenshot.locales || defaults.locales || [];
+    if (only.length > 0) {
+      locales = locales.filter(locale => only.includes(locale));
+    }
+    if (locales.length === 0) {
+      return only.length > 0 ? [] : [screenshot];
+    }
+    return locales.map(locale => ({
+      ...screenshot,
+      locale,
+      outputFile: path.posix.join(locale, screenshot.outputFile),
+    }));
+  });
+}
+
+/**
+ * Load the fixtures of a locale, or empty fixtures if there are none
+ */
+export async function loadLocaleFixtures(dir, locale) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, `${locale}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { labels: {}, selectors: [] };
+    throw new Error(`Invalid locale fixtures for ${locale}: ${error.message}`);
+  }
+}
+
+/**
+ * Switch the webapp language of a page
+ *
+ * The page must already show a webapp (for the stored preference); it is
+ * reloaded when the locale changes. `null` restores the browser default.
+ */
+export async function applyLocale(page, locale) {
+  const state = localeState.get(page) || { locale: null, client: null };
+  if (state.locale === locale) return false;
+
+  // Overrides only last as long as the session that set them
+  state.client ||= await page.createCDPSession();
+  await state.client.send('Emulation.setUserAgentOverride', {
+    userAgent: await page.browser().userAgent(),
+    ...(locale && { acceptLanguage: locale }),
+  });
+  await state.client.send('Emulation.setLocaleOverride', locale ? { locale } : {});
+
+  await page.setExtraHTTPHeaders(locale ? { 'Accept-Language': locale } : {});
+  await page.evaluate(
+    (key, value) => (value ? localStorage.setItem(key, value) : localStorage.removeItem(key)),
+    LOCALE_STORAGE_KEY,
+    locale
+  );
+  await page.reload({ waitUntil: 'networkidle2', timeout: 30000 });
+
+  localeState.set(page, { ...state, locale });
+  return true;
+}
+
+/**
+ * Replace data labels with their localized fixture values
+ *
+ * Covers the text nodes and form field values of the elements matching
+ * `selectors`; nothing is replaced without selectors. Returns the number of
+ * changes.
+ */
+export function localizeLabels(page, { labels = {}, selectors = [] } = {}) {
+  if (Object.keys(labels).length === 0 || selectors.length === 0) return 0;
+
+  return page.evaluate(
+    (translations, scopes) => {
+      const entries = Object.entries(translations).sort(([a], [b]) => b.length - a.length);
+      const translate = value =>
+        entries.reduce((text, [source, target]) => text.split(source).join(target), value);
+      // Nested matches must not be translated twice
+      const visited = new Set();
+      let changed = 0;
+
+      for (const element of document.querySelectorAll(scopes.join(', '))) {
+        const fields = element.matches('input, textarea')
+          ? [element]
+          : [...element.querySelectorAll('input, textarea')];
+        for (const field of fields) {
+          if (visited.has(field)) continue;
+          visited.add(field);
+          const updated = translate(field.value);
+          if (updated !== field.value) {
+            field.value = updated;
+            changed++;
+          }
+        }
+
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+          const node = walker.currentNode;
+          if (visited.has(node)) continue;
+          visited.add(node);
+          const updated = translate(node.nodeValue);
+          if (updated !== node.nodeValue) {
+            node.nodeValue = updated;
+            changed++;
+          }
+        }
+      }
+
+      return changed;
+    },
+    labels,
+    selectors
+  );
+}
@@ -0,0 +1,92 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Machine-readable manifest of a capture run
+ *
+ * Written as `manifest.json` in the output directory. All paths in it are
+ * relative to that directory.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const MANIFEST_FILE = 'manifest.json';
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Manifest record of one screenshot
+ */
+export function manifestEntry(screenshot, outcome, outputDir) {
+  const relative = file => (file ? path.relative(outputDir, file) : undefined);
+  const { comparison } = outcome;
+
+  return {
+    id: screenshot.id,
+    category: screenshot.category,
+    locale: screenshot.locale,
+    description: screenshot.description,
+    path: screenshot.path,
+    status: outcome.status,
+    reason: outcome.reason,
+    url: outcome.url,
+    variables: outcome.variables || {},
+    requirements: outcome.requirements && {
+      met: outcome.requirements.met,
+      unmet: outcome.requirements.unmet,
+    },
+    durationMs: outcome.duration,
+    files: (outcome.files || []).map(({ path: file, format, width, height, bytes, sha256 }) => ({
+      path: file,
+      format,
+      width,
+      height,
+      bytes,
+      sha256,
+    })),
+    comparison: comparison && {
+      status: comparison.status,
+      diffPixels: comparison.diffPixels,
+      diffRatio: comparison.diffRatio,
+      baseline: relative(comparison.baselinePath),
+      baselineUpdated: comparison.baselineUpdated,
+      diff: relative(comparison.diffPath),
+      reason: comparison.reason,
+    },
+    accessibility: outcome.accessibility && {
+      violations: outcome.accessibility.length,
+      nodes: outcome.accessibility.reduce((sum, violation) => sum + violation.nodes.length, 0),
+    },
+    artifacts: relative(outcome.artifacts),
+  };
+}
+
+/**
+ * Assemble the manifest of a run
+ */
+export function createManifest({ baseUrl, operatonVersion, startedAt, entries }) {
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    startedAt,
+    baseUrl,
+    operatonVersion,
+    summary: entries.reduce(
+      (counts, entry) => ({ ...counts, [entry.status]: (counts[entry.status] || 0) + 1 }),
+      { captured: 0, skipped: 0, failed: 0 }
+    ),
+    screenshots: entries,
+  };
+}
+
+/**
+ * Write the manifest to the output directory
+ *
+ * Returns the path of the written file.
+ */
+export async function writeManifest(outputDir, manifest) {
+  const file = path.join(outputDir, MANIFEST_FILE);
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return file;
+}
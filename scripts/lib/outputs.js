@@ -0,0 +1,109 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Write output variants (formats, scales, thumbnails) from one page render
+ *
+ * Output item: `{ format, scale, maxWidth, quality, suffix }`
+ * - format: png (default), jpeg, webp or avif
+ * - scale: pixel density of the variant (e.g. 1 or 2); the render is
+ *   downscaled from the page's device scale factor, never enlarged
+ * - maxWidth: upper bound on the variant width in pixels
+ * - quality: lossy quality (1-100); without it png, webp and avif are
+ *   encoded losslessly
+ * - suffix: appended to the file name before the extension (e.g. "@2x")
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+
+export const DEFAULT_OUTPUTS = [{ format: 'png' }];
+
+const EXTENSIONS = {
+  png: '.png',
+  jpeg: '.jpg',
+  webp: '.webp',
+  avif: '.avif',
+};
+
+/**
+ * Path of an output variant, relative to the output directory
+ */
+export function outputPath(outputFile, output) {
+  const extension = EXTENSIONS[output.format || 'png'];
+  if (!extension) {
+    throw new Error(`Unsupported output format: ${output.format}`);
+  }
+
+  const base = outputFile.slice(0, outputFile.length - path.extname(outputFile).length);
+  return `${base}${output.suffix || ''}${extension}`;
+}
+
+/**
+ * Configure the encoder for an output variant
+ */
+function encode(pipeline, { format = 'png', quality }) {
+  switch (format) {
+    case 'jpeg':
+      return pipeline.jpeg({ quality: quality || 85, mozjpeg: true });
+    case 'webp':
+      return quality ? pipeline.webp({ quality }) : pipeline.webp({ lossless: true });
+    case 'avif':
+      return quality ? pipeline.avif({ quality }) : pipeline.avif({ lossless: true });
+    default:
+      return quality
+        ? pipeline.png({ palette: true, quality, compressionLevel: 9 })
+        : pipeline.png({ compressionLevel: 9, adaptiveFiltering: true });
+  }
+}
+
+/**
+ * Write all output variants of a rendered PNG
+ *
+ * Returns one record per written file:
+ * `{ path, format, width, height, bytes, sha256 }`.
+ */
+export async function writeOutputs(buffer, outputFile, outputs, { outputDir, deviceScaleFactor }) {
+  const { width } = await sharp(buffer).metadata();
+  const files = [];
+  const written = new Set();
+
+  for (const output of outputs) {
+    const relativePath = outputPath(outputFile, output);
+    if (written.has(relativePath)) {
+      throw new Error(`Duplicate output path: ${relativePath}`);
+    }
+    written.add(relativePath);
+
+    let targetWidth = width;
+    if (output.scale) {
+      targetWidth = Math.round((width * output.scale) / deviceScaleFactor);
+    }
+    if (output.maxWidth) {
+      targetWidth = Math.min(targetWidth, output.maxWidth);
+    }
+
+    let pipeline = sharp(buffer);
+    if (targetWidth < width) {
+      pipeline = pipeline.resize({ width: targetWidth });
+    }
+
+    const fullPath = path.join(outputDir, relativePath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    const { data, info } = await encode(pipeline, output).toBuffer({ resolveWithObject: true });
+    await fs.writeFile(fullPath, data);
+
+    files.push({
+      path: relativePath,
+      format: output.format || 'png',
+      width: info.width,
+      height: info.height,
+      bytes: info.size,
+      sha256: createHash('sha256').update(data).digest('hex'),
+    });
+  }
+
+  return files;
+}
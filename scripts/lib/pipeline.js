@@ -0,0 +1,121 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Plan the setup steps that satisfy screenshot requirements
+ *
+ * Each requirement type maps to the generator commands (and their options)
+ * that create what it asks for. Only the generators of unmet requirements
+ * run, in the order deploy → data → simulate → incidents, so that
+ * instances are started from deployed processes. Missing running
+ * instances are started per definition key with
+ * `data --start=<key>:<count>`, for only the count that is short.
+ */
+
+// Process started for instance requirements on `any` definition
+const DEFAULT_PROCESS = 'invoice';
+
+// Requirement types whose shortfalls are started with data --start
+const STARTED_TYPES = ['instances', 'activeInstance'];
+
+// Generators per requirement type: [command, option]; instances are started
+// through startOptions()
+export const GENERATORS = {
+  deployments: [['deploy']],
+  instances: [['deploy']],
+  activeInstance: [['deploy']],
+  completedInstances: [['deploy'], ['simulate', 'history']],
+  decisionInstances: [['deploy'], ['data', 'decisions']],
+  tasks: [['deploy'], ['simulate', 'tasks']],
+  failedJobs: [['incidents', 'job-errors']],
+  batches: [['deploy'], ['data', 'instances'], ['data', 'batches']],
+  users: [['data', 'identities']],
+  groups: [['data', 'identities']],
+  tenants: [
+    ['data', 'identities'],
+    ['data', 'tenants'],
+  ],
+};
+
+const STEP_ORDER = ['deploy', 'data', 'simulate', 'incidents'];
+
+/**
+ * `data --start` options for missing running instances
+ *
+ * `missing`: `[{ type, key, count }]` shortfalls per definition key.
+ * Requirements on the same key are minimums of the same count, so only the
+ * largest shortfall is started. Instances started for other keys count
+ * towards "any"; the rest of it is started as DEFAULT_PROCESS.
+ */
+export function startOptions(missing) {
+  const counts = new Map();
+  for (const { type, key, count } of missing) {
+    if (STARTED_TYPES.includes(type)) {
+      counts.set(key, Math.max(counts.get(key) || 0, count));
+    }
+  }
+
+  const anyCount = counts.get('any') || 0;
+  counts.delete('any');
+  const started = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  if (anyCount > started) {
+    counts.set(DEFAULT_PROCESS, (counts.get(DEFAULT_PROCESS) || 0) + anyCount - started);
+  }
+
+  return [...counts].map(([key, count]) => `start=${key}:${count}`);
+}
+
+/**
+ * Work out the setup steps for unmet requirements
+ *
+ * `unmet`: `[{ id, unmetTypes, missing }]` per screenshot, as returned by the
+ * requirements checker. Returns `{ steps, unsupported }`: steps `{ command,
+ * options, requiredBy }` in run order, and `{ type, requiredBy }` for
+ * requirement types no generator creates (such as multipleVersions).
+ */
+export function planSteps(unmet) {
+  const steps = new Map();
+  const unsupported = new Map();
+
+  const addStep = (command, option, id) => {
+    if (!steps.has(command)) {
+      steps.set(command, { command, options: new Set(), requiredBy: new Set() });
+    }
+    const step = steps.get(command);
+    if (option) step.options.add(option);
+    step.requiredBy.add(id);
+  };
+
+  for (const { id, unmetTypes, missing = [] } of unmet) {
+    if (missing.some(({ type }) => STARTED_TYPES.includes(type))) {
+      addStep('data', null, id);
+    }
+
+    for (const type of unmetTypes) {
+      const generators = GENERATORS[type];
+      if (!generators) {
+        if (!unsupported.has(type)) unsupported.set(type, new Set());
+        unsupported.get(type).add(id);
+        continue;
+      }
+
+      for (const [command, option] of generators) {
+        addStep(command, option, id);
+      }
+    }
+  }
+
+  const starts = startOptions(unmet.flatMap(({ missing = [] }) => missing));
+  starts.forEach(option => steps.get('data').options.add(option));
+
+  return {
+    steps: STEP_ORDER.filter(command => steps.has(command)).map(command => {
+      const { options, requiredBy } = steps.get(command);
+      return { command, options: [...options], requiredBy: [...requiredBy] };
+    }),
+    unsupported: [...unsupported].map(([type, requiredBy]) => ({
+      type,
+      requiredBy: [...requiredBy],
+    })),
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Screen-flow recordings of multi-step interactions
+ *
+ * A screenshot with `"type": "recording"` runs its actions while Puppeteer
+ * records a screencast, then exports the video and an optimized GIF. Both
+ * need ffmpeg (on PATH, or set FFMPEG_PATH).
+ *
+ * Options (`recording` on the screenshot, defaults in `defaults.recording`):
+ * - formats: any of webm, mp4, gif (default: webm and gif)
+ * - stepDelay: pause before each action step in ms, so viewers can follow
+ * - holdEnd: how long the final state stays on screen in ms
+ * - cursor: draw a highlighted cursor that glides to each target
+ * - maxDuration: recording is cut off after this many ms
+ * - fps, scale: frame rate and scale of the video
+ * - gif: `{ fps, width, colors }` of the GIF
+ */
+
+import { execFile } from 'child_process';
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import sharp from 'sharp';
+
+import { executeActions } from './actions.js';
+
+/* global document */
+
+export const DEFAULT_RECORDING = {
+  formats: ['webm', 'gif'],
+  stepDelay: 700,
+  holdEnd: 1500,
+  cursor: true,
+  maxDuration: 30000,
+  fps: 25,
+  scale: 1,
+  gif: { fps: 10, width: 960, colors: 128 },
+};
+
+const VIDEO_FORMATS = ['webm', 'mp4'];
+const CURSOR_ID = 'operaton-screenshot-cursor';
+
+// Read when used, the environment is loaded after the modules
+const ffmpegPath = () => process.env.FFMPEG_PATH || 'ffmpeg';
+const run = promisify(execFile);
+const ffmpeg = (...args) => run(ffmpegPath(), ['-y', '-loglevel', 'error', ...args]);
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolve recording options of a screenshot
+ */
+export function resolveRecordingOptions(screenshot, defaults = {}) {
+  const merged = { ...DEFAULT_RECORDING, ...defaults.recording, ...screenshot.recording };
+  merged.gif = {
+    ...DEFAULT_RECORDING.gif,
+    ...defaults.recording?.gif,
+    ...screenshot.recording?.gif,
+  };
+
+  const unsupported = merged.formats.filter(f => f !== 'gif' && !VIDEO_FORMATS.includes(f));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported recording format: ${unsupported.join(', ')}`);
+  }
+  return merged;
+}
+
+/**
+ * Draw a cursor that follows the mouse and pulses on clicks
+ */
+async function showCursor(page) {
+  await page.evaluate(cursorId => {
+    if (document.getElementById(cursorId)) return;
+
+    const cursor = document.createElement('div');
+    cursor.id = cursorId;
+    Object.assign(cursor.style, {
+      position: 'fixed',
+      top: '0',
+      left: '0',
+      width: '28px',
+      height: '28px',
+      margin: '-14px 0 0 -14px',
+      borderRadius: '50%',
+      background: 'rgba(229, 83, 61, 0.35)',
+      border: '2px solid rgba(229, 83, 61, 0.9)',
+      pointerEvents: 'none',
+      zIndex: '2147483647',
+      transition: 'transform 0.15s ease-out',
+    });
+    document.body.appendChild(cursor);
+
+    const move = event => {
+      cursor.style.top = `${event.clientY}px`;
+      cursor.style.left = `${event.clientX}px`;
+    };
+    document.addEventListener('mousemove', move, true);
+    document.addEventListener('mousedown', () => (cursor.style.transform = 'scale(0.6)'), true);
+    document.addEventListener('mouseup', () => (cursor.style.transform = 'scale(1)'), true);
+  }, CURSOR_ID);
+}
+
+/**
+ * Remove the cursor drawn by showCursor
+ */
+async function hideCursor(page) {
+  await page.evaluate(cursorId => document.getElementById(cursorId)?.remove(), CURSOR_ID);
+}
+
+/**
+ * Pause before a step and glide the mouse to its target
+ */
+function paceStep(options) {
+  return async (page, step) => {
+    await delay(options.stepDelay);
+    if (!options.cursor || !step.selector) return;
+
+    const element = await page.$(step.selector);
+    const box = await element?.boundingBox();
+    if (box) {
+      await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2, { steps: 20 });
+    }
+  };
+}
+
+/**
+ * Convert a video into an optimized, looping GIF
+ */
+async function convertToGif(videoPath, gifPath, { fps, width, colors }) {
+  const filter =
+    `fps=${fps},scale=${width}:-1:flags=lanczos,split[a][b];` +
+    `[a]palettegen=max_colors=${colors}:stats_mode=diff[p];` +
+    '[b][p]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle';
+  await ffmpeg('-i', videoPath, '-vf', filter, '-loop', '0', gifPath);
+}
+
+/**
+ * Describe a written file in the same shape as image outputs
+ */
+async function fileRecord(outputDir, relativePath, format) {
+  const data = await fs.readFile(path.join(outputDir, relativePath));
+  const { width, height } = format === 'gif' ? await sharp(data).metadata() : {};
+  return {
+    path: relativePath,
+    format,
+    width,
+    height,
+    bytes: data.length,
+    sha256: createHash('sha256').update(data).digest('hex'),
+  };
+}
+
+/**
+ * Record the actions of a screenshot and export all configured formats
+ *
+ * Returns one record per written file, like writeOutputs().
+ */
+export async function recordActions(page, screenshot, { outputDir, macros, defaults }) {
+  const options = resolveRecordingOptions(screenshot, defaults);
+  const base = screenshot.outputFile.slice(
+    0,
+    screenshot.outputFile.length - path.extname(screenshot.outputFile).length
+  );
+
+  // The GIF is converted from a video; record a temporary one if no video is wanted
+  const videoFormat = options.formats.find(f => VIDEO_FORMATS.includes(f)) || 'webm';
+  const keepVideo = options.formats.includes(videoFormat);
+  const videoPath = keepVideo ? `${base}.${videoFormat}` : `${base}.recording.${videoFormat}`;
+  const fullVideoPath = path.join(outputDir, videoPath);
+  await fs.mkdir(path.dirname(fullVideoPath), { recursive: true });
+
+  if (options.cursor) {
+    await showCursor(page);
+  }
+
+  const recorder = await page.screencast({
+    path: fullVideoPath,
+    format: videoFormat,
+    fps: options.fps,
+    scale: options.scale,
+    ffmpegPath: ffmpegPath(),
+  });
+
+  let timer;
+  const cutOff = new Promise(resolve => {
+    timer = setTimeout(() => resolve('timeout'), options.maxDuration);
+  });
+  const actions = executeActions(page, screenshot.actions || [], macros, {
+    beforeStep: paceStep(options),
+  }).then(() => delay(options.holdEnd));
+
+  try {
+    if ((await Promise.race([actions, cutOff])) === 'timeout') {
+      console.warn(`  ⚠ Recording cut off after ${options.maxDuration}ms`);
+    }
+  } finally {
+    clearTimeout(timer);
+    await recorder.stop();
+  }
+
+  // Let remaining steps finish outside the recording, so failures still surface
+  await actions;
+  if (options.cursor) {
+    await hideCursor(page);
+  }
+
+  const files = [];
+  if (keepVideo) {
+    files.push(await fileRecord(outputDir, videoPath, videoFormat));
+  }
+  for (const format of options.formats.filter(
+    f => VIDEO_FORMATS.includes(f) && f !== videoFormat
+  )) {
+    const otherPath = `${base}.${format}`;
+    await ffmpeg('-i', fullVideoPath, path.join(outputDir, otherPath));
+    files.push(await fileRecord(outputDir, otherPath, format));
+  }
+  if (options.formats.includes('gif')) {
+    await convertToGif(fullVideoPath, path.join(outputDir, `${base}.gif`), options.gif);
+    files.push(await fileRecord(outputDir, `${base}.gif`, 'gif'));
+  }
+  if (!keepVideo) {
+    await fs.rm(fullVideoPath, { force: true });
+  }
+
+  for (const file of files) {
+    const size = file.width ? ` (${file.width}x${file.height})` : '';
+    console.log(`  ✓ Recording saved: ${file.path}${size}`);
+  }
+  return files;
+}
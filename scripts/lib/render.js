@@ -0,0 +1,96 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Viewport, scale factor, emulated media and zoom per screenshot
+ *
+ * Settings are resolved in this order (first defined wins):
+ * 1. The screenshot entry itself
+ * 2. Environment variables (SCREENSHOT_WIDTH, SCREENSHOT_HEIGHT, SCREENSHOT_SCALE)
+ * 3. `defaults` in config/screenshots.json
+ * 4. Built-in fallbacks
+ */
+
+/* global document */
+
+export const BUILTIN_RENDER_SETTINGS = {
+  viewport: { width: 1920, height: 1080 },
+  deviceScaleFactor: 2,
+  colorScheme: null,
+  reducedMotion: null,
+  zoom: 1,
+  waitTimeout: 10000,
+  stabilityTimeout: 15000,
+};
+
+/**
+ * Drop undefined/null values so they do not shadow lower-priority sources
+ */
+function defined(values = {}) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value != null));
+}
+
+/**
+ * Resolve the render settings for a screenshot
+ */
+export function resolveRenderSettings(screenshot = {}, defaults = {}, environment = {}) {
+  const sources = [screenshot, environment, defaults].map(defined);
+  const pick = key => sources.find(source => key in source)?.[key] ?? BUILTIN_RENDER_SETTINGS[key];
+
+  return {
+    viewport: {
+      ...BUILTIN_RENDER_SETTINGS.viewport,
+      ...sources
+        .map(source => defined(source.viewport))
+        .reverse()
+        .reduce((merged, viewport) => ({ ...merged, ...viewport }), {}),
+    },
+    deviceScaleFactor: pick('deviceScaleFactor'),
+    colorScheme: pick('colorScheme'),
+    reducedMotion: pick('reducedMotion'),
+    zoom: pick('zoom'),
+    waitTimeout: pick('waitTimeout'),
+    stabilityTimeout: pick('stabilityTimeout'),
+  };
+}
+
+/**
+ * Apply viewport and emulated media before navigating
+ *
+ * Media features that are not set are reset, so a dark screenshot does not
+ * leak into the next one on the same page.
+ */
+export async function applyRenderSettings(page, settings) {
+  const current = page.viewport();
+  const { width, height } = settings.viewport;
+  const { deviceScaleFactor } = settings;
+
+  if (
+    !current ||
+    current.width !== width ||
+    current.height !== height ||
+    current.deviceScaleFactor !== deviceScaleFactor
+  ) {
+    await page.setViewport({ width, height, deviceScaleFactor });
+  }
+
+  const features = [];
+  if (settings.colorScheme) {
+    features.push({ name: 'prefers-color-scheme', value: settings.colorScheme });
+  }
+  if (settings.reducedMotion) {
+    features.push({ name: 'prefers-reduced-motion', value: settings.reducedMotion });
+  }
+  await page.emulateMediaFeatures(features.length > 0 ? features : undefined);
+}
+
+/**
+ * Apply CSS zoom to the loaded page
+ */
+export async function applyZoom(page, zoom) {
+  if (!zoom || zoom === 1) return;
+
+  await page.evaluate(factor => {
+    document.documentElement.style.zoom = String(factor);
+  }, zoom);
+}
@@ -0,0 +1,217 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Evaluate the `requirements` block of a screenshot definition
+ *
+ * Each requirement type is checked against the engine REST API using
+ * `/count` endpoints. Counts are cached for the lifetime of the checker,
+ * since many screenshots share the same requirements.
+ */
+
+/**
+ * Definition REST resource for a deployable config file
+ */
+function definitionResource(file = '') {
+  if (file.endsWith('.dmn')) return '/decision-definition';
+  if (file.endsWith('.cmmn')) return '/case-definition';
+  return '/process-definition';
+}
+
+/**
+ * Create a requirements checker bound to a REST client and config
+ */
+export function createRequirementsChecker(api, configData) {
+  const cache = new Map();
+  const deployables = { ...configData.processes, ...configData.decisions };
+
+  /**
+   * Get a (cached) count from a REST count endpoint
+   */
+  function count(endpoint, params = {}) {
+    const cacheKey = `${endpoint}?${new URLSearchParams(params)}`;
+    if (!cache.has(cacheKey)) {
+      cache.set(cacheKey, api.count(endpoint, params));
+    }
+    return cache.get(cacheKey);
+  }
+
+  /**
+   * Map a config process key (e.g. "invoice-process") to its definition key
+   */
+  function definitionKey(ref) {
+    return deployables[ref]?.key || ref;
+  }
+
+  /**
+   * Check that a process/decision/case referenced by config key or definition key is deployed
+   */
+  async function isDeployed(ref) {
+    const deployable = deployables[ref];
+    if (deployable) {
+      return (await count(definitionResource(deployable.file), { key: deployable.key })) > 0;
+    }
+
+    if ((await count('/deployment', { name: ref })) > 0) return true;
+    for (const resource of ['/process-definition', '/decision-definition', '/case-definition']) {
+      if ((await count(resource, { key: ref })) > 0) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Evaluate a `{ key: minimum }` map against a count endpoint filtered by definition key
+   *
+   * Shortfalls are added to `missing` as `{ key, count }`, with the
+   * definition key (or "any").
+   */
+  async function checkCounts(label, counts, endpoint, keyParam, params = {}, missing = []) {
+    const unmet = [];
+    for (const [ref, minimum] of Object.entries(counts)) {
+      const key = ref === 'any' ? 'any' : definitionKey(ref);
+      const filter = ref === 'any' ? {} : { [keyParam]: key };
+      const actual = await count(endpoint, { ...params, ...filter });
+      if (actual < minimum) {
+        unmet.push(`${label} for ${ref}: ${actual} of ${minimum} required`);
+        missing.push({ key, count: minimum - actual });
+      }
+    }
+    return unmet;
+  }
+
+  /**
+   * Evaluate a list of identity ids (users, groups, tenants)
+   */
+  async function checkIdentities(label, ids, endpoint) {
+    const unmet = [];
+    for (const id of ids) {
+      if ((await count(endpoint, { id })) === 0) {
+        unmet.push(`${label} ${id} not found`);
+      }
+    }
+    return unmet;
+  }
+
+  const evaluators = {
+    async deployments(refs) {
+      const unmet = [];
+      for (const ref of refs) {
+        if (!(await isDeployed(ref))) unmet.push(`deployment ${ref} not found`);
+      }
+      return unmet;
+    },
+
+    instances(counts, missing) {
+      return checkCounts(
+        'running instances',
+        counts,
+        '/process-instance',
+        'processDefinitionKey',
+        {},
+        missing
+      );
+    },
+
+    async activeInstance(ref, missing) {
+      const key = definitionKey(ref);
+      const actual = await count('/process-instance', { processDefinitionKey: key });
+      if (actual > 0) return [];
+      missing.push({ key, count: 1 });
+      return [`no running instance of ${ref}`];
+    },
+
+    completedInstances(counts) {
+      return checkCounts(
+        'completed instances',
+        counts,
+        '/history/process-instance',
+        'processDefinitionKey',
+        { finished: true }
+      );
+    },
+
+    decisionInstances(counts) {
+      return checkCounts(
+        'decision instances',
+        counts,
+        '/history/decision-instance',
+        'decisionDefinitionKey'
+      );
+    },
+
+    async failedJobs(minimum) {
+      const actual = await count('/job', { withException: true });
+      return actual >= minimum ? [] : [`failed jobs: ${actual} of ${minimum} required`];
+    },
+
+    async batches(minimum) {
+      const actual = await count('/batch');
+      return actual >= minimum ? [] : [`batches: ${actual} of ${minimum} required`];
+    },
+
+    async multipleVersions(ref) {
+      const actual = await count('/process-definition', { key: definitionKey(ref) });
+      return actual >= 2 ? [] : [`${ref} has ${actual} version(s), at least 2 required`];
+    },
+
+    async tasks({ user, count: minimum = 1 }) {
+      const actual = await count('/task', user ? { assignee: user } : {});
+      const owner = user ? ` assigned to ${user}` : '';
+      return actual >= minimum ? [] : [`tasks${owner}: ${actual} of ${minimum} required`];
+    },
+
+    users(ids) {
+      return checkIdentities('user', ids, '/user');
+    },
+
+    groups(ids) {
+      return checkIdentities('group', ids, '/group');
+    },
+
+    tenants(ids) {
+      return checkIdentities('tenant', ids, '/tenant');
+    },
+  };
+
+  /**
+   * Evaluate all requirements of a screenshot
+   *
+   * Returns `{ met, unmet, unmetTypes, missing }` where `unmet` lists a
+   * human-readable reason per requirement that is not satisfied,
+   * `unmetTypes` the requirement types they belong to, and `missing` the
+   * running instances that are short: `{ type, key, count }` per definition
+   * key.
+   */
+  async function check(requirements = {}) {
+    const unmet = [];
+    const unmetTypes = [];
+    const missing = [];
+
+    for (const [type, value] of Object.entries(requirements)) {
+      const evaluator = evaluators[type];
+      let reasons;
+      if (!evaluator) {
+        reasons = [`unknown requirement type: ${type}`];
+      } else {
+        try {
+          const shortfalls = [];
+          reasons = await evaluator(value, shortfalls);
+          missing.push(...shortfalls.map(shortfall => ({ type, ...shortfall })));
+        } catch (error) {
+          // An open circuit aborts the run instead of failing one requirement
+          if (error.name === 'CircuitOpenError') throw error;
+          reasons = [`${type}: ${error.message}`];
+        }
+      }
+
+      if (reasons.length > 0) {
+        unmet.push(...reasons);
+        unmetTypes.push(type);
+      }
+    }
+
+    return { met: unmet.length === 0, unmet, unmetTypes, missing };
+  }
+
+  return { check };
+}
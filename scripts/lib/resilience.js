@@ -0,0 +1,159 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Retry, rate limiting and circuit breaking for REST requests
+ *
+ * - Retry: idempotent requests that fail transiently (connection reset,
+ *   timeout, 429, 502-504, or a 500 that is not an engine exception) are
+ *   retried with exponential backoff and full jitter, honouring Retry-After.
+ * - Rate limit: requests start at most `rate` times per second, shared by
+ *   all clients in the process.
+ * - Circuit breaker: after `threshold` consecutive requests that failed
+ *   without an answer or transiently the circuit opens, and the run is
+ *   aborted with a report of those failures.
+ */
+
+export const DEFAULT_RETRY_OPTIONS = { retries: 3, baseDelay: 500, maxDelay: 10000 };
+
+// Methods that can safely be sent again
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Network errors worth another attempt; ECONNREFUSED means the engine is down
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+const TRANSIENT_STATUSES = [429, 502, 503, 504];
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Error of a request rejected because the circuit is open
+ *
+ * `failures` holds the requests that opened it: `{ method, url, status, code, message }`.
+ */
+export class CircuitOpenError extends Error {
+  constructor(failures) {
+    super(`Circuit open after ${failures.length} consecutive failed requests`);
+    this.name = 'CircuitOpenError';
+    this.failures = failures;
+  }
+}
+
+/**
+ * Whether an error may go away by itself
+ */
+export function isTransient(error) {
+  if (error.status === undefined) return TRANSIENT_CODES.includes(error.code);
+  // The engine answers 500 for its own exceptions, which fail again
+  if (error.status === 500) return !error.type;
+  return TRANSIENT_STATUSES.includes(error.status);
+}
+
+/**
+ * Whether a request may be retried after this error
+ */
+export function isRetryable(method, error) {
+  return IDEMPOTENT_METHODS.includes(method) && isTransient(error);
+}
+
+/**
+ * Delay before retry `attempt` (0-based): full jitter over an exponential cap
+ *
+ * A Retry-After header (seconds) of the failed response takes precedence.
+ */
+export function retryDelay(attempt, { baseDelay, maxDelay } = DEFAULT_RETRY_OPTIONS, error) {
+  const retryAfter = parseInt(error?.cause?.response?.headers?.['retry-after']);
+  if (retryAfter >= 0) return Math.min(retryAfter * 1000, maxDelay);
+  return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+}
+
+/**
+ * Run `send` and retry it while the error is retryable
+ *
+ * `onRetry({ attempt, wait, error })` is called before each retry.
+ */
+export async function withRetry(method, send, options = DEFAULT_RETRY_OPTIONS, onRetry) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send();
+    } catch (error) {
+      if (attempt >= options.retries || !isRetryable(method, error)) throw error;
+      const wait = retryDelay(attempt, options, error);
+      onRetry?.({ attempt: attempt + 1, wait, error });
+      await delay(wait);
+    }
+  }
+}
+
+/**
+ * Create a limiter that spaces request starts at `rate` per second (0: unlimited)
+ */
+export function createRateLimiter(rate) {
+  const interval = rate > 0 ? 1000 / rate : 0;
+  let next = 0;
+
+  return {
+    rate,
+
+    /**
+     * Wait for the next free slot
+     */
+    async acquire() {
+      if (interval === 0) return;
+      const now = Date.now();
+      const slot = Math.max(now, next);
+      next = slot + interval;
+      if (slot > now) {
+        await delay(slot - now);
+      }
+    },
+  };
+}
+
+/**
+ * Create a circuit breaker that opens after `threshold` consecutive failures (0: never)
+ *
+ * `onOpen(error)` is called once, with the CircuitOpenError, when it opens.
+ */
+export function createCircuitBreaker(threshold, onOpen) {
+  let failures = [];
+  let openError = null;
+
+  return {
+    /**
+     * Throw if the circuit is open
+     */
+    check() {
+      if (openError) throw openError;
+    },
+
+    success() {
+      failures = [];
+    },
+
+    failure({ method, url, error }) {
+      if (threshold <= 0 || openError) return;
+      failures.push({
+        method,
+        url,
+        status: error.status,
+        code: error.code,
+        message: error.message,
+      });
+      if (failures.length >= threshold) {
+        openError = new CircuitOpenError(failures);
+        onOpen?.(openError);
+      }
+    },
+  };
+}
+
+/**
+ * Format the report of an open circuit
+ */
+export function formatCircuitReport({ message, failures }) {
+  const lines = failures.map(
+    ({ method, url, status, code, message: reason }) =>
+      `  ✗ ${method} ${url} ${status || code || 'failed'}: ${reason}`
+  );
+  return [`✗ ${message}, aborting the run:`, ...lines].join('\n');
+}
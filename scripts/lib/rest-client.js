@@ -0,0 +1,364 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Client for the Operaton engine REST API, shared by all scripts
+ *
+ * Connection settings come from the environment (OPERATON_REST_URL,
+ * OPERATON_USERNAME, OPERATON_PASSWORD, REST_TIMEOUT) unless passed in.
+ * Requests resolve to the response body; failures reject with an
+ * OperatonError, whether the engine answered with an error or the request
+ * never got an answer.
+ *
+ * List endpoints are paged with `firstResult`/`maxResults` by `iterate()`
+ * (an async iterator) and `list()`, so queries are never cut off at the
+ * engine's or a hard-coded result limit. REST_PAGE_SIZE sets the page size.
+ *
+ * Idempotent requests are retried on transient failures (REST_RETRIES,
+ * REST_RETRY_DELAY), and all requests share a REST_RATE_LIMIT per second.
+ * After REST_CIRCUIT_BREAKER consecutive failures the circuit opens and
+ * every request rejects with a CircuitOpenError (see resilience.js).
+ *
+ * Hooks (`onRequest`, `onResponse`, `onError`, `onRetry`) receive
+ * `{ method, url, params, status, duration, error, attempt, wait }` for
+ * logging; with LOG_REQUESTS=true every request is logged to the console.
+ */
+
+import axios from 'axios';
+import FormData from 'form-data';
+
+import {
+  createCircuitBreaker,
+  createRateLimiter,
+  DEFAULT_RETRY_OPTIONS,
+  isTransient,
+  withRetry,
+} from './resilience.js';
+
+export const DEFAULT_REST_URL = 'https://operaton-doc.open-regels.nl/engine-rest';
+export const DEFAULT_TIMEOUT = 30000;
+export const DEFAULT_PAGE_SIZE = 100;
+export const DEFAULT_RATE_LIMIT = 10;
+
+// Query parameters that do not apply to /count
+const PAGING_PARAMS = ['firstResult', 'maxResults', 'sortBy', 'sortOrder'];
+
+// Range of the engine's Integer type; larger whole numbers are sent as Long
+const MAX_INTEGER = 2 ** 31 - 1;
+const MIN_INTEGER = -(2 ** 31);
+
+/**
+ * Error of a failed REST request
+ *
+ * `status` is the HTTP status (undefined when there was no response),
+ * `type` the engine's exception type, `code` the network error code
+ * (e.g. ECONNREFUSED, ECONNABORTED on timeout) and `data` the error body.
+ */
+export class OperatonError extends Error {
+  constructor(message, { method, url, status, type, code, data, cause } = {}) {
+    super(message, { cause });
+    this.name = 'OperatonError';
+    this.method = method;
+    this.url = url;
+    this.status = status;
+    this.type = type;
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Convert an axios error into an OperatonError
+ */
+function toOperatonError(error) {
+  const { config = {}, response } = error;
+  const { url } = config;
+  const method = config.method?.toUpperCase();
+  const data = response?.data;
+
+  let message = data?.message || error.message;
+  if (error.code === 'ECONNABORTED') {
+    message = `${method} ${url} timed out after ${config.timeout}ms`;
+  }
+
+  return new OperatonError(message, {
+    method,
+    url,
+    status: response?.status,
+    type: data?.type,
+    code: error.code,
+    data,
+    cause: error,
+  });
+}
+
+/**
+ * Format a date the way the engine expects (yyyy-MM-dd'T'HH:mm:ss.SSSZ)
+ */
+function formatDate(date) {
+  return date.toISOString().replace('Z', '+0000');
+}
+
+/**
+ * A File variable from a buffer or string
+ */
+export function fileVariable(content, { filename = 'file', mimetype, encoding } = {}) {
+  return {
+    value: Buffer.from(content).toString('base64'),
+    type: 'File',
+    valueInfo: {
+      filename,
+      ...(mimetype && { mimetype }),
+      ...(encoding && { encoding }),
+    },
+  };
+}
+
+/**
+ * Serialize one value into a typed engine variable
+ *
+ * Values that are already typed (`{ value, type }`) are passed through, so
+ * callers can force a type, e.g. `{ value: 5, type: 'Long' }`.
+ */
+export function serializeVariable(value) {
+  if (value === null || value === undefined) return { value: null, type: 'Null' };
+  if (typeof value === 'boolean') return { value, type: 'Boolean' };
+  if (typeof value === 'string') return { value, type: 'String' };
+  // JSON has no bigint; values beyond Number.MAX_SAFE_INTEGER lose precision
+  if (typeof value === 'bigint') return { value: Number(value), type: 'Long' };
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) return { value, type: 'Double' };
+    return { value, type: value >= MIN_INTEGER && value <= MAX_INTEGER ? 'Integer' : 'Long' };
+  }
+  if (value instanceof Date) return { value: formatDate(value), type: 'Date' };
+  if (Buffer.isBuffer(value)) return fileVariable(value);
+  if (typeof value === 'object' && 'type' in value && 'value' in value) return value;
+  return { value: JSON.stringify(value), type: 'Json' };
+}
+
+/**
+ * Serialize a `{ name: value }` map into engine variables
+ */
+export function serializeVariables(variables = {}) {
+  return Object.fromEntries(
+    Object.entries(variables).map(([name, value]) => [name, serializeVariable(value)])
+  );
+}
+
+/**
+ * Log requests to the console
+ */
+const consoleHooks = {
+  onResponse: ({ method, url, status, duration }) =>
+    console.log(`  → ${method} ${url} ${status} (${duration}ms)`),
+  onError: ({ method, url, error }) =>
+    console.log(`  → ${method} ${url} ${error.status || error.code || 'failed'}: ${error.message}`),
+  onRetry: ({ method, url, attempt, wait }) =>
+    console.log(`  ↻ ${method} ${url} retry ${attempt} in ${wait}ms`),
+};
+
+// Limiter shared by all clients that do not set their own rateLimit
+let sharedLimiter;
+
+/**
+ * Create a REST client
+ *
+ * Options: `{ baseUrl, username, password, timeout, pageSize, retries,
+ * retryDelay, rateLimit, circuitBreaker, onRequest, onResponse, onError,
+ * onRetry, onCircuitOpen }`. `onCircuitOpen(error)` is called once when
+ * the circuit opens.
+ */
+export function createRestClient(options = {}) {
+  const {
+    baseUrl = process.env.OPERATON_REST_URL || DEFAULT_REST_URL,
+    username = process.env.OPERATON_USERNAME || 'demo',
+    password = process.env.OPERATON_PASSWORD || 'demo',
+    timeout = parseInt(process.env.REST_TIMEOUT) || DEFAULT_TIMEOUT,
+    pageSize: defaultPageSize = parseInt(process.env.REST_PAGE_SIZE) || DEFAULT_PAGE_SIZE,
+    retries = parseInt(process.env.REST_RETRIES ?? DEFAULT_RETRY_OPTIONS.retries),
+    retryDelay = parseInt(process.env.REST_RETRY_DELAY) || DEFAULT_RETRY_OPTIONS.baseDelay,
+    rateLimit,
+    circuitBreaker = parseInt(process.env.REST_CIRCUIT_BREAKER) || 0,
+    onCircuitOpen,
+    ...hooks
+  } = options;
+  const { onRequest, onResponse, onError, onRetry } = {
+    ...(process.env.LOG_REQUESTS === 'true' && consoleHooks),
+    ...hooks,
+  };
+
+  const retryOptions = { ...DEFAULT_RETRY_OPTIONS, retries: retries || 0, baseDelay: retryDelay };
+  sharedLimiter ||= createRateLimiter(
+    parseFloat(process.env.REST_RATE_LIMIT ?? DEFAULT_RATE_LIMIT) || 0
+  );
+  const limiter = rateLimit === undefined ? sharedLimiter : createRateLimiter(rateLimit);
+  const breaker = createCircuitBreaker(circuitBreaker, onCircuitOpen);
+
+  const http = axios.create({
+    baseURL: baseUrl,
+    auth: { username, password },
+    timeout,
+    headers: { Accept: 'application/json' },
+  });
+
+  /**
+   * Send one attempt of a request, paced by the rate limiter
+   */
+  async function send(method, url, config) {
+    await limiter.acquire();
+    try {
+      return await http.request({ method, url, ...config });
+    } catch (error) {
+      throw toOperatonError(error);
+    }
+  }
+
+  /**
+   * Send a request and resolve to the response body
+   *
+   * Only failures without an answer or transient ones count towards the
+   * circuit breaker; 4xx answers and engine exceptions are expected by some
+   * callers.
+   */
+  async function request(method, url, { params, data, headers } = {}) {
+    breaker.check();
+    const started = Date.now();
+    const info = { method: method.toUpperCase(), url, params };
+    onRequest?.(info);
+
+    try {
+      const response = await withRetry(
+        info.method,
+        () => send(method, url, { params, data, headers }),
+        retryOptions,
+        retry => onRetry?.({ ...info, ...retry })
+      );
+      breaker.success();
+      onResponse?.({ ...info, status: response.status, duration: Date.now() - started });
+      return response.data;
+    } catch (error) {
+      onError?.({ ...info, status: error.status, duration: Date.now() - started, error });
+      if (error.status === undefined || isTransient(error)) {
+        breaker.failure({ ...info, error });
+        // The failure that opens the circuit rejects with the CircuitOpenError
+        breaker.check();
+      }
+      throw error;
+    }
+  }
+
+  const get = (url, params) => request('get', url, { params });
+  const post = (url, data, params) => request('post', url, { data, params });
+  const put = (url, data) => request('put', url, { data });
+  const del = (url, params) => request('delete', url, { params });
+
+  /**
+   * Number of results of a list endpoint (`<resource>/count`)
+   */
+  async function count(resource, params = {}) {
+    const filters = Object.fromEntries(
+      Object.entries(params).filter(([key]) => !PAGING_PARAMS.includes(key))
+    );
+    return (await get(`${resource}/count`, filters)).count;
+  }
+
+  /**
+   * Iterate over all results of a list endpoint, one page at a time
+   *
+   * The total is taken from `/count` first, so paging stops without an extra
+   * empty request; `limit` stops after that many results. Results that are
+   * deleted while iterating shift the following pages, so collect them with
+   * list() before deleting.
+   */
+  async function* iterate(resource, params = {}, { pageSize = defaultPageSize, limit } = {}) {
+    const total = Math.min(await count(resource, params), limit ?? Infinity);
+
+    for (let firstResult = 0; firstResult < total; firstResult += pageSize) {
+      const maxResults = Math.min(pageSize, total - firstResult);
+      const page = await get(resource, { ...params, firstResult, maxResults });
+      yield* page;
+      if (page.length < maxResults) return;
+    }
+  }
+
+  /**
+   * All results of a list endpoint
+   */
+  async function list(resource, params = {}, options = {}) {
+    const results = [];
+    for await (const result of iterate(resource, params, options)) {
+      results.push(result);
+    }
+    return results;
+  }
+
+  return {
+    baseUrl,
+    request,
+    get,
+    post,
+    put,
+    delete: del,
+    count,
+    iterate,
+    list,
+
+    /**
+     * Throw the CircuitOpenError if the circuit has opened
+     *
+     * Commands that handle request errors one by one call it before
+     * reporting success.
+     */
+    checkCircuit: () => breaker.check(),
+
+    engines: () => get('/engine'),
+
+    async version() {
+      return (await get('/version')).version || null;
+    },
+
+    /**
+     * Deploy resource files: `[{ filename, content }]`
+     */
+    deploy(name, files, { duplicateFiltering = true, changedOnly = false } = {}) {
+      const form = new FormData();
+      form.append('deployment-name', name);
+      form.append('enable-duplicate-filtering', String(duplicateFiltering));
+      form.append('deploy-changed-only', String(changedOnly));
+      for (const { filename, content } of files) {
+        form.append('upload', Buffer.from(content), {
+          filename,
+          contentType: 'application/octet-stream',
+        });
+      }
+      return request('post', '/deployment/create', { data: form, headers: form.getHeaders() });
+    },
+
+    getProcessDefinitions: (params = { latestVersion: true }) =>
+      list('/process-definition', params),
+
+    getDecisionDefinitions: (params = { latestVersion: true }) =>
+      list('/decision-definition', params),
+
+    startProcess(key, variables = {}, businessKey = null) {
+      return post(`/process-definition/key/${encodeURIComponent(key)}/start`, {
+        variables: serializeVariables(variables),
+        ...(businessKey && { businessKey }),
+      });
+    },
+
+    evaluateDecision(key, variables = {}) {
+      return post(`/decision-definition/key/${encodeURIComponent(key)}/evaluate`, {
+        variables: serializeVariables(variables),
+      });
+    },
+
+    getTasks: (params = {}) => list('/task', params),
+
+    claimTask: (taskId, userId) => post(`/task/${taskId}/claim`, { userId }),
+
+    completeTask(taskId, variables = {}) {
+      return post(`/task/${taskId}/complete`, { variables: serializeVariables(variables) });
+    },
+  };
+}
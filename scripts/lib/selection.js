@@ -0,0 +1,120 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Select which screenshots to capture
+ *
+ * Filters (all optional, combined with AND; values within a filter with OR):
+ * - --category=cockpit,tasklist
+ * - --id=cockpit-dashboard* (glob: * and ?)
+ * - --tag=bpmn
+ * - --changed-since=<git ref>  (entries whose config changed since that revision)
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { listValues } from './cli.js';
+import { readConfig } from './config.js';
+
+/**
+ * Convert a simple glob (* and ?) into an anchored regular expression
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+/**
+ * Screenshot filters from the parsed command line options
+ */
+export function parseFilters(options) {
+  return {
+    categories: listValues(options.category),
+    ids: listValues(options.id),
+    tags: listValues(options.tag),
+    changedSince: options['changed-since'] || null,
+  };
+}
+
+/**
+ * Load the screenshot config as it was at a git revision
+ *
+ * The config directory is checked out into a temporary directory, so
+ * fragments and includes resolve as they did at that revision.
+ */
+export async function loadConfigAtRevision(configPath, ref) {
+  const git = args =>
+    execFileSync('git', args, {
+      cwd: path.dirname(configPath),
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+
+  const files = git(['ls-tree', '-r', '--name-only', ref, '--', '.']).split('\n').filter(Boolean);
+  const checkout = await fs.mkdtemp(path.join(os.tmpdir(), 'operaton-config-'));
+  try {
+    for (const file of files) {
+      await fs.mkdir(path.join(checkout, path.dirname(file)), { recursive: true });
+      await fs.writeFile(path.join(checkout, file), git(['show', `${ref}:./${file}`]));
+    }
+    return await readConfig(path.join(checkout, path.basename(configPath)));
+  } finally {
+    await fs.rm(checkout, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Ids of screenshots whose definition changed between two config versions
+ *
+ * An entry counts as changed when it is new, when its own definition
+ * (including requirements) differs, when its category changed, when a
+ * macro it uses changed, or when the shared defaults changed.
+ */
+export function changedScreenshotIds(current, previous) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const previousById = new Map((previous.screenshots || []).map(s => [s.id, s]));
+  const defaultsChanged = !same(current.defaults, previous.defaults);
+
+  return new Set(
+    current.screenshots
+      .filter(screenshot => {
+        const before = previousById.get(screenshot.id);
+        if (!before || defaultsChanged || !same(screenshot, before)) return true;
+
+        const { category } = screenshot;
+        if (!same(current.categories?.[category], previous.categories?.[category])) return true;
+
+        return (screenshot.actions || [])
+          .filter(action => typeof action === 'string')
+          .some(name => !same(current.macros?.[name], previous.macros?.[name]));
+      })
+      .map(screenshot => screenshot.id)
+  );
+}
+
+/**
+ * Apply filters to the list of screenshots
+ */
+export function selectScreenshots(screenshots, filters, changedIds = null) {
+  const idPatterns = filters.ids.map(globToRegExp);
+
+  return screenshots.filter(screenshot => {
+    if (filters.categories.length > 0 && !filters.categories.includes(screenshot.category)) {
+      return false;
+    }
+    if (idPatterns.length > 0 && !idPatterns.some(pattern => pattern.test(screenshot.id))) {
+      return false;
+    }
+    if (filters.tags.length > 0 && !filters.tags.some(tag => screenshot.tags?.includes(tag))) {
+      return false;
+    }
+    if (changedIds && !changedIds.has(screenshot.id)) {
+      return false;
+    }
+    return true;
+  });
+}
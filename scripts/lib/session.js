@@ -0,0 +1,110 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Authenticated webapp session shared across screenshots and runs
+ *
+ * Tracks which webapps have been entered with a valid session, so the
+ * login flow only runs when the login form actually shows up. Cookies are
+ * saved to disk and restored on the next run for the same instance/user.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const LOGIN_FORM_SELECTOR = 'form[name="login"]';
+
+/**
+ * Create a session for a page
+ *
+ * `login(page, app)` performs the actual form login on the current page.
+ */
+export function createSession(page, { file, baseUrl, username, login }) {
+  const context = page.browserContext();
+  const authenticated = new Set();
+  let loggedInAt = 0;
+
+  /**
+   * Check whether the current page shows the login form
+   */
+  async function isLoginPage() {
+    return (await page.$(LOGIN_FORM_SELECTOR)) !== null;
+  }
+
+  /**
+   * Restore cookies saved by a previous run for the same instance and user
+   *
+   * Returns the number of restored cookies.
+   */
+  async function restore() {
+    let saved;
+    try {
+      saved = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      return 0;
+    }
+
+    if (saved.baseUrl !== baseUrl || saved.username !== username) {
+      return 0;
+    }
+
+    const now = Date.now() / 1000;
+    const cookies = (saved.cookies || []).filter(c => c.expires === -1 || c.expires > now);
+    if (cookies.length > 0) {
+      await context.setCookie(...cookies);
+    }
+    return cookies.length;
+  }
+
+  /**
+   * Save the current cookies to disk
+   */
+  async function persist() {
+    const cookies = await context.cookies();
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(
+      file,
+      JSON.stringify({ baseUrl, username, savedAt: new Date().toISOString(), cookies }, null, 2)
+    );
+  }
+
+  /**
+   * Log in again from the current page and remember the session
+   */
+  async function relogin(app) {
+    authenticated.clear();
+    await login(page, app);
+    loggedInAt = Date.now();
+    await persist();
+    authenticated.add(app);
+  }
+
+  /**
+   * Make sure the webapp has been entered with a valid session
+   *
+   * Navigates to `appUrl` (the webapp's start page) only the first time
+   * the app is used in this session.
+   */
+  async function ensure(app, appUrl) {
+    if (authenticated.has(app)) return;
+
+    console.log(`  Navigating to: ${appUrl}`);
+    await page.goto(appUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+
+    if (await isLoginPage()) {
+      await relogin(app);
+    } else {
+      console.log(`  ✓ Session valid for ${app}`);
+      authenticated.add(app);
+    }
+  }
+
+  /**
+   * Time of the last login in this session (0 if the restored session was used)
+   */
+  function lastLogin() {
+    return loggedInAt;
+  }
+
+  return { restore, persist, ensure, relogin, isLoginPage, lastLogin };
+}
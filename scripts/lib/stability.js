@@ -0,0 +1,129 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Wait until a page has finished rendering
+ *
+ * A page counts as stable when, in the same check:
+ * - no engine requests are pending: engine-rest, and the webapps' own API
+ *   (/operaton/api/engine/..., plugin APIs)
+ * - no loading spinner is visible
+ * - every bpmn-js canvas on the page has rendered its diagram
+ * - two consecutive frames are identical
+ */
+
+/* global document, window */
+
+export const DEFAULT_STABILITY_OPTIONS = {
+  timeout: 15000,
+  interval: 250,
+  apiPaths: ['/engine-rest/', '/api/engine/', '/api/cockpit/', '/api/tasklist/', '/api/admin/'],
+  spinnerSelectors: ['.loader-state.loading', '.loading-indicator', '.spinner', '.fa-spin'],
+};
+
+const pendingByPage = new WeakMap();
+
+/**
+ * Start tracking engine requests of a page (URLs containing one of `apiPaths`)
+ *
+ * Call once, right after the page has been created; requests started before
+ * tracking began are not seen.
+ */
+export function trackRequests(page, apiPaths = DEFAULT_STABILITY_OPTIONS.apiPaths) {
+  const pending = new Set();
+  const done = request => pending.delete(request);
+
+  page.on('request', request => {
+    const url = request.url();
+    if (apiPaths.some(apiPath => url.includes(apiPath))) {
+      pending.add(request);
+    }
+  });
+  page.on('requestfinished', done);
+  page.on('requestfailed', done);
+  // Requests of a previous document never finish once the frame navigates away
+  page.on('framenavigated', frame => {
+    if (frame === page.mainFrame()) {
+      pending.forEach(request => request.frame() !== frame && done(request));
+    }
+  });
+
+  pendingByPage.set(page, pending);
+}
+
+/**
+ * Check the DOM conditions: visible spinners and unrendered bpmn-js canvases
+ */
+function checkDocument(page, spinnerSelectors) {
+  return page.evaluate(selectors => {
+    const visible = element => {
+      const style = window.getComputedStyle(element);
+      const rect = element.getBoundingClientRect();
+      return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0;
+    };
+
+    const spinners = selectors.filter(selector =>
+      Array.from(document.querySelectorAll(selector)).some(visible)
+    );
+    const canvases = Array.from(document.querySelectorAll('.djs-container')).filter(visible);
+    const emptyCanvases = canvases.filter(canvas => !canvas.querySelector('.djs-element')).length;
+
+    return { spinners, emptyCanvases };
+  }, spinnerSelectors);
+}
+
+/**
+ * Wait until the page is stable
+ *
+ * Returns `{ stable, unmet, elapsed }`; `unmet` lists the conditions that
+ * were still failing when the timeout expired.
+ */
+export async function waitForStable(page, options = {}) {
+  const {
+    timeout = DEFAULT_STABILITY_OPTIONS.timeout,
+    interval = DEFAULT_STABILITY_OPTIONS.interval,
+    spinnerSelectors = DEFAULT_STABILITY_OPTIONS.spinnerSelectors,
+  } = options;
+  const pending = pendingByPage.get(page);
+  const started = Date.now();
+  let previousFrame = null;
+  let unmet = [];
+
+  for (;;) {
+    unmet = [];
+
+    if (pending?.size > 0) {
+      unmet.push(`${pending.size} pending engine request(s)`);
+    }
+
+    const { spinners, emptyCanvases } = await checkDocument(page, spinnerSelectors);
+    if (spinners.length > 0) {
+      unmet.push(`loading spinner visible (${spinners.join(', ')})`);
+    }
+    if (emptyCanvases > 0) {
+      unmet.push(`${emptyCanvases} bpmn-js canvas(es) not rendered`);
+    }
+
+    // Only compare frames once everything else is settled
+    if (unmet.length === 0) {
+      const frame = Buffer.from(await page.screenshot({ type: 'jpeg', quality: 50 }));
+      if (previousFrame && frame.equals(previousFrame)) {
+        return { stable: true, unmet, elapsed: Date.now() - started };
+      }
+      if (previousFrame) {
+        unmet.push('consecutive frames differ');
+      }
+      previousFrame = frame;
+    } else {
+      previousFrame = null;
+    }
+
+    if (Date.now() - started >= timeout) {
+      if (unmet.length === 0) {
+        unmet.push('no second frame to compare');
+      }
+      return { stable: false, unmet, elapsed: Date.now() - started };
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
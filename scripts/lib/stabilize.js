@@ -0,0 +1,120 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Freeze volatile UI content before capture
+ *
+ * Generated IDs, start times and "x minutes ago" labels change on every run.
+ * These helpers pin the browser clock and blank, blur or rewrite matching
+ * elements so that captures are reproducible.
+ */
+
+/* global window, document, NodeFilter */
+
+/**
+ * Pin the browser clock to a fixed date
+ *
+ * Must be called before navigating. Every new document starts at `isoDate`;
+ * time still advances from there so timers and polling keep working.
+ */
+export async function pinClock(page, isoDate) {
+  const fixedTime = Date.parse(isoDate);
+  if (Number.isNaN(fixedTime)) {
+    throw new Error(`Invalid clock date: ${isoDate}`);
+  }
+
+  await page.evaluateOnNewDocument(time => {
+    const RealDate = window.Date;
+    const offset = time - RealDate.now();
+    const now = () => RealDate.now() + offset;
+
+    window.Date = new Proxy(RealDate, {
+      construct(target, args) {
+        return args.length > 0 ? new target(...args) : new target(now());
+      },
+      apply() {
+        return new RealDate(now()).toString();
+      },
+      get(target, prop) {
+        return prop === 'now' ? now : Reflect.get(target, prop);
+      },
+    });
+  }, fixedTime);
+}
+
+/**
+ * Blank, blur or hide elements matching the mask rules
+ *
+ * Rule: `{ selector, mode: 'blank' | 'blur' | 'hide', color }`
+ */
+export function applyMasks(page, rules) {
+  return page.evaluate(maskRules => {
+    let masked = 0;
+    for (const { selector, mode = 'blank', color = '#d8d8d8' } of maskRules) {
+      for (const element of document.querySelectorAll(selector)) {
+        if (mode === 'hide') {
+          element.style.visibility = 'hidden';
+        } else if (mode === 'blur') {
+          element.style.filter = 'blur(6px)';
+        } else {
+          element.style.backgroundColor = color;
+          element.style.color = 'transparent';
+          element.style.borderColor = color;
+        }
+        masked++;
+      }
+    }
+    return masked;
+  }, rules);
+}
+
+/**
+ * Rewrite text inside elements matching the replaceText rules
+ *
+ * Rule: `{ selector, pattern, flags, text }`. Without a pattern the whole
+ * text content of each matching element is replaced.
+ */
+export function applyTextReplacements(page, rules) {
+  return page.evaluate(replaceRules => {
+    let replaced = 0;
+    for (const { selector, pattern, flags = 'g', text = '' } of replaceRules) {
+      for (const element of document.querySelectorAll(selector)) {
+        if (!pattern) {
+          element.textContent = text;
+          replaced++;
+          continue;
+        }
+
+        const regex = new RegExp(pattern, flags);
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+          const node = walker.currentNode;
+          const updated = node.nodeValue.replace(regex, text);
+          if (updated !== node.nodeValue) {
+            node.nodeValue = updated;
+            replaced++;
+          }
+        }
+      }
+    }
+    return replaced;
+  }, rules);
+}
+
+/**
+ * Apply the default and per-screenshot mask/replaceText rules
+ */
+export async function stabilizeContent(page, screenshot, defaults = {}) {
+  const replaceRules = [...(defaults.replaceText || []), ...(screenshot.replaceText || [])];
+  const maskRules = [...(defaults.mask || []), ...(screenshot.mask || [])];
+
+  if (replaceRules.length > 0) {
+    const replaced = await applyTextReplacements(page, replaceRules);
+    if (replaced > 0) console.log(`  ✓ Replaced volatile text in ${replaced} node(s)`);
+  }
+
+  if (maskRules.length > 0) {
+    const masked = await applyMasks(page, maskRules);
+    if (masked > 0) console.log(`  ✓ Masked ${masked} element(s)`);
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Resolve `{placeholder}` variables in screenshot paths
+ *
+ * Static `variables` of a screenshot are substituted first. Remaining
+ * placeholders are looked up with a REST query: the one given in the
+ * screenshot's `dynamicVariable`, or the built-in default for that name.
+ *
+ * Query: `{ name, endpoint, params, sort, pick, field }`
+ * - endpoint: engine-rest list endpoint (e.g. /process-instance)
+ * - params: query parameters (e.g. processDefinitionKey, businessKey,
+ *   assignee, withIncident)
+ * - sort: `{ by, order }`, sent as sortBy/sortOrder
+ * - pick: "first" (default), "last", an index, or an object whose fields
+ *   the result must match; a field value of `{ "exists": true }` only
+ *   requires the field to be set
+ * - field: result property holding the value (default: id)
+ *
+ * Results are paged through until the pick rule is satisfied, so matches
+ * beyond the first page are found too. Values are URI-encoded when they are
+ * substituted into the path.
+ */
+
+export const DEFAULT_QUERIES = {
+  processInstanceId: { endpoint: '/process-instance' },
+  processDefinitionId: { endpoint: '/process-definition', params: { latestVersion: true } },
+  processDefinitionKey: {
+    endpoint: '/process-definition',
+    params: { latestVersion: true },
+    field: 'key',
+  },
+  decisionDefinitionId: { endpoint: '/decision-definition', params: { latestVersion: true } },
+  decisionInstanceId: { endpoint: '/history/decision-instance' },
+  deploymentId: { endpoint: '/deployment', sort: { by: 'deploymentTime', order: 'desc' } },
+  taskId: { endpoint: '/task' },
+  jobId: { endpoint: '/job' },
+  batchId: { endpoint: '/batch' },
+  incidentId: { endpoint: '/incident' },
+  externalTaskId: { endpoint: '/external-task' },
+  caseDefinitionId: { endpoint: '/case-definition', params: { latestVersion: true } },
+  caseInstanceId: { endpoint: '/case-instance' },
+};
+
+/**
+ * Normalize `dynamicVariable` (string, query or list of both) into queries by name
+ */
+function queriesOf(dynamicVariable) {
+  const entries = [dynamicVariable || []].flat();
+  return Object.fromEntries(
+    entries.map(entry => (typeof entry === 'string' ? [entry, {}] : [entry.name, entry]))
+  );
+}
+
+/**
+ * Check whether a `pick` rule is one of the supported forms
+ */
+function isValidPick(pick) {
+  return (
+    pick === 'first' ||
+    pick === 'last' ||
+    (Number.isInteger(pick) && pick >= 0) ||
+    (pick !== null && typeof pick === 'object' && !Array.isArray(pick))
+  );
+}
+
+/**
+ * Check a result against a `pick` object
+ */
+function matches(result, criteria) {
+  return Object.entries(criteria).every(([field, expected]) => {
+    if (expected && typeof expected === 'object' && 'exists' in expected) {
+      return (result[field] != null && result[field] !== '') === expected.exists;
+    }
+    return result[field] === expected;
+  });
+}
+
+/**
+ * Page through the results of a query until the one the `pick` rule selects
+ *
+ * Only as many pages are fetched as needed; "last" is fetched directly at
+ * `/count` - 1.
+ */
+async function findResult(api, endpoint, query, pick = 'first') {
+  if (!isValidPick(pick)) {
+    throw new Error(`unknown pick ${JSON.stringify(pick)}`);
+  }
+
+  if (typeof pick === 'number') {
+    const results = await api.list(endpoint, query, { limit: pick + 1 });
+    return results[pick];
+  }
+
+  if (pick === 'last') {
+    const total = await api.count(endpoint, query);
+    if (total === 0) return undefined;
+    const [result] = await api.get(endpoint, { ...query, firstResult: total - 1, maxResults: 1 });
+    return result;
+  }
+
+  const limit = pick === 'first' ? 1 : undefined;
+  for await (const result of api.iterate(endpoint, query, { limit })) {
+    if (pick === 'first' || (typeof pick === 'object' && matches(result, pick))) return result;
+  }
+  return undefined;
+}
+
+/**
+ * Create a resolver that caches query results for the whole run
+ */
+export function createVariableResolver(api) {
+  const cache = new Map();
+
+  /**
+   * Find the result of a query (cached by endpoint, params, sort and pick)
+   */
+  function fetchResult({ endpoint, params = {}, sort, pick }) {
+    const query = {
+      ...params,
+      ...(sort && { sortBy: sort.by, sortOrder: sort.order || 'asc' }),
+    };
+    const key = JSON.stringify([endpoint, query, pick]);
+    if (!cache.has(key)) {
+      cache.set(key, findResult(api, endpoint, query, pick));
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Look up the value of one placeholder
+   *
+   * Returns `{ value }` or `{ error }` describing why nothing was found.
+   */
+  async function lookup(name, query) {
+    const merged = { ...DEFAULT_QUERIES[name], ...query };
+    if (!merged.endpoint) {
+      return { error: `no query for {${name}}` };
+    }
+
+    try {
+      const result = await fetchResult(merged);
+      const value = result?.[merged.field || 'id'];
+      return value == null ? { error: `no match for {${name}} at ${merged.endpoint}` } : { value };
+    } catch (error) {
+      // An open circuit aborts the run instead of leaving one placeholder unresolved
+      if (error.name === 'CircuitOpenError') throw error;
+      return { error: `query for {${name}} failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Resolve all placeholders in a path template
+   *
+   * Returns `{ path, variables, errors }`; `variables` holds the values
+   * substituted for each placeholder, `errors` why some were not.
+   */
+  async function resolve(pathTemplate, screenshot = {}) {
+    let resolvedPath = pathTemplate;
+    const variables = {};
+    const errors = [];
+
+    for (const [key, value] of Object.entries(screenshot.variables || {})) {
+      if (resolvedPath.includes(`{${key}}`)) {
+        resolvedPath = resolvedPath.replaceAll(`{${key}}`, encodeURIComponent(value));
+        variables[key] = value;
+      }
+    }
+
+    const queries = queriesOf(screenshot.dynamicVariable);
+    const placeholders = new Set([...resolvedPath.matchAll(/\{(\w+)\}/g)].map(match => match[1]));
+
+    for (const name of placeholders) {
+      const { value, error } = await lookup(name, queries[name]);
+      if (error) {
+        errors.push(error);
+        continue;
+      }
+      resolvedPath = resolvedPath.replaceAll(`{${name}}`, encodeURIComponent(value));
+      variables[name] = value;
+    }
+
+    return { path: resolvedPath, variables, errors };
+  }
+
+  return { resolve };
+}
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * operaton-shots: one entry point for all scripts
+ *
+ *   operaton-shots <command> [options]
+ *
+ * Runs the script of the command (see COMMANDS in lib/cli.js) with the
+ * remaining arguments; the script parses them itself, so
+ * `operaton-shots capture --compare` and
+ * `node scripts/capture-screenshots.js --compare` behave the same.
+ */
+
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+import { COMMANDS, EXIT_CODES, formatCommandHelp, formatHelp } from './lib/cli.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const [name, ...args] = process.argv.slice(2);
+
+if (!name || name === '--help' || name === '-h') {
+  console.log(formatHelp());
+  process.exit(EXIT_CODES.OK);
+}
+
+if (name === 'help') {
+  const [topic] = args;
+  if (topic && !COMMANDS[topic]) {
+    console.error(`✗ Unknown command: ${topic}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  console.log(topic ? formatCommandHelp(topic) : formatHelp());
+  process.exit(EXIT_CODES.OK);
+}
+
+if (!Object.hasOwn(COMMANDS, name)) {
+  console.error(`✗ Unknown command: ${name}\n\n${formatHelp()}`);
+  process.exit(EXIT_CODES.USAGE);
+}
+
+const script = path.join(__dirname, COMMANDS[name].script);
+process.argv = [process.argv[0], script, ...args];
+await import(pathToFileURL(script).href);
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Prepare Operaton for the selected screenshots, then capture them
+ *
+ * Reads the `requirements` of the screenshots selected with the capture
+ * filters, checks which are not met yet and runs only the generators that
+ * create the missing data (see lib/pipeline.js). Afterwards the
+ * requirements are checked again and the same selection is captured;
+ * requirements that are still unmet fail the run.
+ */
+
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import {
+  CAPTURE_OPTIONS,
+  COMMANDS,
+  EXIT_CODES,
+  fail,
+  finish,
+  parseCommandArgs,
+} from './lib/cli.js';
+import { loadConfig } from './lib/config.js';
+import { planSteps } from './lib/pipeline.js';
+import { createRequirementsChecker } from './lib/requirements.js';
+import { createRestClient } from './lib/rest-client.js';
+import {
+  changedScreenshotIds,
+  loadConfigAtRevision,
+  parseFilters,
+  selectScreenshots,
+} from './lib/selection.js';
+
+const { options } = parseCommandArgs('prepare');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_PATH = process.env.CONFIG_PATH || path.join(__dirname, '../config/screenshots.json');
+
+const api = createRestClient();
+
+/**
+ * Capture options of this run, as arguments for the capture command
+ */
+function captureArgs() {
+  return Object.keys(CAPTURE_OPTIONS).flatMap(name => {
+    const value = options[name];
+    if (value === undefined || value === false) return [];
+    if (value === true) return [`--${name}`];
+    return [value].flat().map(item => `--${name}=${item}`);
+  });
+}
+
+/**
+ * Run another command as a child process
+ *
+ * The environment (including --env and --config) is inherited; --verbose
+ * and --json are passed on. With --json the child's result is parsed from
+ * its stdout. Resolves to `{ exitCode, result }`.
+ */
+function runCommand(command, args) {
+  const script = path.join(__dirname, COMMANDS[command].script);
+  const globalArgs = [
+    ...(options.verbose ? ['--verbose'] : []),
+    ...(options.json ? ['--json'] : []),
+  ];
+
+  console.log(`\n▶ operaton-shots ${[command, ...args].join(' ')}\n`);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script, ...args, ...globalArgs], {
+      stdio: ['inherit', options.json ? 'pipe' : 'inherit', 'inherit'],
+    });
+
+    let output = '';
+    child.stdout?.on('data', chunk => {
+      output += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', exitCode => {
+      let result = null;
+      try {
+        result = output ? JSON.parse(output) : null;
+      } catch {
+        // Not a JSON result
+      }
+      resolve({ exitCode: exitCode ?? EXIT_CODES.FAILED, result });
+    });
+  });
+}
+
+/**
+ * Check the requirements of the screenshots
+ *
+ * A fresh checker is used for every call, so counts are not cached across
+ * setup steps. Returns `[{ id, reasons, unmetTypes, missing }]` for
+ * screenshots with unmet requirements.
+ */
+async function checkRequirements(configData, screenshots) {
+  const checker = createRequirementsChecker(api, configData);
+  const unmet = [];
+
+  for (const screenshot of screenshots) {
+    if (!screenshot.requirements) continue;
+    const {
+      met,
+      unmet: reasons,
+      unmetTypes,
+      missing,
+    } = await checker.check(screenshot.requirements);
+    if (!met) {
+      unmet.push({ id: screenshot.id, reasons, unmetTypes, missing });
+    }
+  }
+
+  return unmet;
+}
+
+/**
+ * Print screenshots with unmet requirements
+ */
+function printUnmet(unmet) {
+  for (const { id, reasons } of unmet) {
+    console.log(`  ✗ ${id}`);
+    reasons.forEach(reason => console.log(`      ${reason}`));
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('═'.repeat(60));
+  console.log('  Operaton Screenshot Preparation');
+  console.log('═'.repeat(60));
+  console.log(`\nTarget: ${api.baseUrl}\n`);
+
+  const configData = await loadConfig(CONFIG_PATH);
+
+  // Select screenshots like capture does
+  const filters = parseFilters(options);
+  let changedIds = null;
+  if (filters.changedSince) {
+    try {
+      const previous = await loadConfigAtRevision(CONFIG_PATH, filters.changedSince);
+      changedIds = changedScreenshotIds(configData, previous);
+    } catch (error) {
+      console.error(`✗ Cannot read config at ${filters.changedSince}: ${error.message}`);
+      finish({ error: error.message }, EXIT_CODES.INVALID_CONFIG);
+    }
+  }
+  const screenshots = selectScreenshots(configData.screenshots, filters, changedIds);
+  console.log(`Selected ${screenshots.length} of ${configData.screenshots.length} screenshot(s)`);
+
+  // Test connection
+  try {
+    await api.engines();
+    console.log('✓ Connected to Operaton');
+  } catch (error) {
+    console.error('✗ Failed to connect to Operaton:', error.message);
+    finish({ error: error.message }, EXIT_CODES.UNREACHABLE);
+  }
+
+  console.log('\n🔍 Checking requirements...');
+  const unmet = await checkRequirements(configData, screenshots);
+  if (unmet.length === 0) {
+    console.log('  ✓ All requirements met');
+  }
+  printUnmet(unmet);
+
+  const plan = planSteps(unmet);
+
+  console.log('\n📋 Plan:');
+  if (plan.steps.length === 0) {
+    console.log('  Nothing to prepare');
+  }
+  for (const { command, options: stepOptions, requiredBy } of plan.steps) {
+    const args = stepOptions.map(option => ` --${option}`).join('');
+    console.log(`  • ${command}${args}  (for ${requiredBy.join(', ')})`);
+  }
+  for (const { type, requiredBy } of plan.unsupported) {
+    console.log(`  ⚠ No generator for ${type}  (for ${requiredBy.join(', ')})`);
+  }
+  if (!options['skip-capture']) {
+    console.log(`  • ${['capture', ...captureArgs()].join(' ')}`);
+  }
+
+  if (options['dry-run']) {
+    finish({ selected: screenshots.map(s => s.id), unmet, plan });
+  }
+
+  // Run the generators, stopping at the first that fails
+  const steps = [];
+  for (const step of plan.steps) {
+    const { exitCode, result } = await runCommand(
+      step.command,
+      step.options.map(option => `--${option}`)
+    );
+    steps.push({ command: step.command, options: step.options, exitCode, result });
+
+    if (exitCode !== EXIT_CODES.OK) {
+      console.error(`\n✗ ${step.command} failed with exit code ${exitCode}`);
+      finish({ unmet, plan, steps }, exitCode);
+    }
+  }
+
+  const remaining =
+    plan.steps.length > 0 ? await checkRequirements(configData, screenshots) : unmet;
+  if (remaining.length > 0) {
+    console.warn(`\n⚠ ${remaining.length} screenshot(s) still have unmet requirements:`);
+    printUnmet(remaining);
+  } else if (plan.steps.length > 0) {
+    console.log('\n✓ All requirements met');
+  }
+
+  const exitCode = remaining.length > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+  if (options['skip-capture']) {
+    finish({ unmet, plan, steps, remaining }, exitCode);
+  }
+
+  // Screenshots whose requirements are met are still captured
+  const capture = await runCommand('capture', captureArgs());
+  finish({ unmet, plan, steps, remaining, capture: capture.result }, capture.exitCode || exitCode);
+}
+
+main().catch(fail);
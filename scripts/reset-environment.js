@@ -9,61 +9,45 @@
  * Deletes:
  * - All process instances (running and completed)
  * - All deployments
- * - All created users and groups
+ * - All created users and groups, and the tenants of the screenshot config
  * - All batches
  * - All history data
  */
 
-import 'dotenv/config';
-import axios from 'axios';
+import path from 'path';
 import readline from 'readline';
+import { fileURLToPath } from 'url';
 
-// Configuration
-const config = {
-  baseUrl: process.env.OPERATON_REST_URL || 'https://operaton-doc.open-regels.nl/engine-rest',
-  username: process.env.OPERATON_USERNAME || 'demo',
-  password: process.env.OPERATON_PASSWORD || 'demo',
-};
-
-// API client
-const api = axios.create({
-  baseURL: config.baseUrl,
-  auth: {
-    username: config.username,
-    password: config.password,
-  },
-  headers: {
-    Accept: 'application/json',
-    'Content-Type': 'application/json',
-  },
-});
-
-// Parse command line arguments
-const args = process.argv.slice(2);
-const forceMode = args.includes('--force');
-const instancesOnly = args.includes('--instances-only');
-const deploymentsOnly = args.includes('--deployments-only');
-const usersOnly = args.includes('--users-only');
-const historyOnly = args.includes('--history-only');
+import { EXIT_CODES, fail, finish, parseCommandArgs } from './lib/cli.js';
+import { loadConfig } from './lib/config.js';
+import { createRestClient } from './lib/rest-client.js';
+
+const { options } = parseCommandArgs('reset');
+const forceMode = Boolean(options.force);
+const instancesOnly = Boolean(options['instances-only']);
+const deploymentsOnly = Boolean(options['deployments-only']);
+const usersOnly = Boolean(options['users-only']);
+const historyOnly = Boolean(options['history-only']);
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_PATH = process.env.CONFIG_PATH || path.join(__dirname, '../config/screenshots.json');
+
+const api = createRestClient();
 
 // Users created by our scripts (don't delete demo or admin users)
 const CREATED_USERS = ['john', 'mary', 'peter'];
 const CREATED_GROUPS = ['accounting', 'management', 'sales'];
 
-/**
- * Delay helper
- */
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
-
 /**
  * Ask for confirmation
  */
 function confirm(message) {
   if (forceMode) return true;
 
+  // stdout is reserved for the result with --json
   const rl = readline.createInterface({
     input: process.stdin,
-    output: process.stdout,
+    output: options.json ? process.stderr : process.stdout,
   });
 
   return new Promise(resolve => {
@@ -85,9 +69,8 @@ async function deleteProcessInstances() {
   console.log('\n🗑️  Deleting process instances...');
 
   try {
-    // Get all running instances
-    const response = await api.get('/process-instance', { params: { maxResults: 1000 } });
-    const instances = response.data;
+    // Collect all running instances before deleting, deletions shift the pages
+    const instances = await api.list('/process-instance');
 
     if (instances.length === 0) {
       console.log('  No running instances found');
@@ -101,14 +84,17 @@ async function deleteProcessInstances() {
     for (const instance of instances) {
       try {
         await api.delete(`/process-instance/${instance.id}`, {
-          params: { skipCustomListeners: true, skipIoMappings: true },
+          skipCustomListeners: true,
+          skipIoMappings: true,
         });
         deleted++;
       } catch {
         // Try force delete
         try {
           await api.delete(`/process-instance/${instance.id}`, {
-            params: { skipCustomListeners: true, skipIoMappings: true, skipSubprocesses: true },
+            skipCustomListeners: true,
+            skipIoMappings: true,
+            skipSubprocesses: true,
           });
           deleted++;
         } catch {
@@ -133,8 +119,7 @@ async function deleteHistoricInstances() {
 
   try {
     // Get all historic instances
-    const response = await api.get('/history/process-instance', { params: { maxResults: 1000 } });
-    const instances = response.data;
+    const instances = await api.list('/history/process-instance');
 
     if (instances.length === 0) {
       console.log('  No historic instances found');
@@ -170,8 +155,7 @@ async function deleteDeployments() {
 
   try {
     // Get all deployments
-    const response = await api.get('/deployment');
-    const deployments = response.data;
+    const deployments = await api.list('/deployment');
 
     if (deployments.length === 0) {
       console.log('  No deployments found');
@@ -185,16 +169,15 @@ async function deleteDeployments() {
     for (const deployment of deployments) {
       try {
         await api.delete(`/deployment/${deployment.id}`, {
-          params: { cascade: true, skipCustomListeners: true, skipIoMappings: true },
+          cascade: true,
+          skipCustomListeners: true,
+          skipIoMappings: true,
         });
         deleted++;
         console.log(`    Deleted: ${deployment.name || deployment.id}`);
       } catch (error) {
-        console.log(
-          `  ⚠ Could not delete deployment ${deployment.id}: ${error.response?.data?.message || error.message}`
-        );
+        console.log(`  ⚠ Could not delete deployment ${deployment.id}: ${error.message}`);
       }
-      await delay(100);
     }
 
     console.log(`  ✓ Deleted ${deleted} deployment(s)`);
@@ -212,8 +195,7 @@ async function deleteBatches() {
   console.log('\n🗑️  Deleting batches...');
 
   try {
-    const response = await api.get('/batch');
-    const batches = response.data;
+    const batches = await api.list('/batch');
 
     if (batches.length === 0) {
       console.log('  No batches found');
@@ -225,7 +207,7 @@ async function deleteBatches() {
     let deleted = 0;
     for (const batch of batches) {
       try {
-        await api.delete(`/batch/${batch.id}`, { params: { cascade: true } });
+        await api.delete(`/batch/${batch.id}`, { cascade: true });
         deleted++;
       } catch {
         console.log(`  ⚠ Could not delete batch ${batch.id}`);
@@ -247,8 +229,7 @@ async function deleteHistoricBatches() {
   console.log('\n🗑️  Deleting historic batches...');
 
   try {
-    const response = await api.get('/history/batch');
-    const batches = response.data;
+    const batches = await api.list('/history/batch');
 
     if (batches.length === 0) {
       console.log('  No historic batches found');
@@ -285,7 +266,7 @@ async function deleteUsers() {
       console.log(`    Deleted user: ${userId}`);
       deleted++;
     } catch (error) {
-      if (error.response?.status !== 404) {
+      if (error.status !== 404) {
         console.log(`  ⚠ Could not delete user ${userId}`);
       }
     }
@@ -308,7 +289,7 @@ async function deleteGroups() {
       console.log(`    Deleted group: ${groupId}`);
       deleted++;
     } catch (error) {
-      if (error.response?.status !== 404) {
+      if (error.status !== 404) {
         console.log(`  ⚠ Could not delete group ${groupId}`);
       }
     }
@@ -318,6 +299,29 @@ async function deleteGroups() {
   return deleted;
 }
 
+/**
+ * Delete the tenants of the screenshot config (created by generate-data --tenants)
+ */
+async function deleteTenants(tenants) {
+  console.log('\n🗑️  Deleting created tenants...');
+
+  let deleted = 0;
+  for (const { id: tenantId } of tenants) {
+    try {
+      await api.delete(`/tenant/${tenantId}`);
+      console.log(`    Deleted tenant: ${tenantId}`);
+      deleted++;
+    } catch (error) {
+      if (error.status !== 404) {
+        console.log(`  ⚠ Could not delete tenant ${tenantId}`);
+      }
+    }
+  }
+
+  console.log(`  ✓ Deleted ${deleted} tenant(s)`);
+  return deleted;
+}
+
 /**
  * Delete decision instances
  */
@@ -325,8 +329,7 @@ async function deleteDecisionInstances() {
   console.log('\n🗑️  Deleting decision instances...');
 
   try {
-    const response = await api.get('/history/decision-instance', { params: { maxResults: 1000 } });
-    const instances = response.data;
+    const instances = await api.list('/history/decision-instance');
 
     if (instances.length === 0) {
       console.log('  No decision instances found');
@@ -359,8 +362,7 @@ async function deleteJobs() {
   console.log('\n🗑️  Deleting jobs...');
 
   try {
-    const response = await api.get('/job', { params: { maxResults: 1000 } });
-    const jobs = response.data;
+    const jobs = await api.list('/job');
 
     if (jobs.length === 0) {
       console.log('  No jobs found');
@@ -394,20 +396,23 @@ async function main() {
   console.log('═'.repeat(60));
   console.log('  Operaton Environment Reset');
   console.log('═'.repeat(60));
-  console.log(`\nTarget: ${config.baseUrl}`);
+  console.log(`\nTarget: ${api.baseUrl}`);
 
   // Test connection
   try {
-    await api.get('/engine');
+    await api.engines();
     console.log('✓ Connected to Operaton\n');
   } catch (error) {
     console.error('✗ Failed to connect to Operaton:', error.message);
-    process.exit(1);
+    finish({ error: error.message }, EXIT_CODES.UNREACHABLE);
   }
 
   // Determine what to delete
   const deleteAll = !instancesOnly && !deploymentsOnly && !usersOnly && !historyOnly;
 
+  // Tenants to delete come from the config; an invalid config fails before anything is deleted
+  const { tenants = [] } = deleteAll || usersOnly ? await loadConfig(CONFIG_PATH) : {};
+
   // Confirm action
   let confirmMessage = 'This will delete ';
   if (deleteAll) {
@@ -416,7 +421,7 @@ async function main() {
     const parts = [];
     if (instancesOnly) parts.push('process instances');
     if (deploymentsOnly) parts.push('deployments');
-    if (usersOnly) parts.push('users and groups');
+    if (usersOnly) parts.push('users, groups and tenants');
     if (historyOnly) parts.push('history data');
     confirmMessage += parts.join(', ');
   }
@@ -428,7 +433,7 @@ async function main() {
 
   if (!(await confirm(confirmMessage))) {
     console.log('\nAborted.');
-    process.exit(0);
+    finish({ aborted: true });
   }
 
   const stats = {
@@ -437,6 +442,7 @@ async function main() {
     deployments: 0,
     users: 0,
     groups: 0,
+    tenants: 0,
     batches: 0,
     jobs: 0,
     decisions: 0,
@@ -471,8 +477,11 @@ async function main() {
   if (deleteAll || usersOnly) {
     stats.users = await deleteUsers();
     stats.groups = await deleteGroups();
+    stats.tenants = await deleteTenants(tenants);
   }
 
+  api.checkCircuit();
+
   // Print summary
   console.log(`\n${'═'.repeat(60)}`);
   console.log('  Reset Summary');
@@ -482,6 +491,7 @@ async function main() {
   console.log(`  Deployments deleted:        ${stats.deployments}`);
   console.log(`  Users deleted:              ${stats.users}`);
   console.log(`  Groups deleted:             ${stats.groups}`);
+  console.log(`  Tenants deleted:            ${stats.tenants}`);
   console.log(`  Batches deleted:            ${stats.batches}`);
   console.log(`  Jobs deleted:               ${stats.jobs}`);
   console.log(`  Decision instances deleted: ${stats.decisions}`);
@@ -492,9 +502,8 @@ async function main() {
   console.log('  make deploy     # Deploy processes');
   console.log('  make data       # Generate test data');
   console.log('');
+
+  finish({ deleted: stats });
 }
 
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+main().catch(fail);
@@ -7,40 +7,29 @@
  * Show current status of Operaton environment
  */
 
-import 'dotenv/config';
-import axios from 'axios';
+import { EXIT_CODES, fail, finish, parseCommandArgs } from './lib/cli.js';
+import { createRestClient } from './lib/rest-client.js';
 
-const config = {
-  baseUrl: process.env.OPERATON_REST_URL || 'https://operaton-doc.open-regels.nl/engine-rest',
-  username: process.env.OPERATON_USERNAME || 'demo',
-  password: process.env.OPERATON_PASSWORD || 'demo',
-};
+parseCommandArgs('status');
 
-const api = axios.create({
-  baseURL: config.baseUrl,
-  auth: {
-    username: config.username,
-    password: config.password,
-  },
-});
+const api = createRestClient();
 
 async function getCount(endpoint, params = {}) {
   try {
-    const response = await api.get(`${endpoint}/count`, { params });
-    return response.data.count;
+    return await api.count(endpoint, params);
   } catch {
     return '?';
   }
 }
 
 async function main() {
-  console.log(`Target: ${config.baseUrl}\n`);
+  console.log(`Target: ${api.baseUrl}\n`);
 
   try {
-    await api.get('/engine');
-  } catch {
+    await api.engines();
+  } catch (error) {
     console.error('✗ Cannot connect to Operaton');
-    process.exit(1);
+    finish({ error: error.message }, EXIT_CODES.UNREACHABLE);
   }
 
   const stats = {
@@ -56,6 +45,7 @@ async function main() {
     users: await getCount('/user'),
     groups: await getCount('/group'),
   };
+  api.checkCircuit();
 
   console.log('Deployments:');
   console.log(`  Deployments:          ${stats.deployments}`);
@@ -75,9 +65,8 @@ async function main() {
   console.log('Identity:');
   console.log(`  Users:                ${stats.users}`);
   console.log(`  Groups:               ${stats.groups}`);
+
+  finish({ baseUrl: api.baseUrl, stats });
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+main().catch(fail);
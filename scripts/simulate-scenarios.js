@@ -14,52 +14,30 @@
  * - Subprocess executions
  */
 
-import 'dotenv/config';
-import axios from 'axios';
 import _fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { EXIT_CODES, fail, finish, parseCommandArgs } from './lib/cli.js';
+import { createRestClient } from './lib/rest-client.js';
 
-// Configuration
-const config = {
-  baseUrl: process.env.OPERATON_REST_URL || 'https://operaton-doc.open-regels.nl/engine-rest',
-  username: process.env.OPERATON_USERNAME || 'demo',
-  password: process.env.OPERATON_PASSWORD || 'demo',
-};
-
-// API client
-const api = axios.create({
-  baseURL: config.baseUrl,
-  auth: {
-    username: config.username,
-    password: config.password,
-  },
-  headers: {
-    Accept: 'application/json',
-    'Content-Type': 'application/json',
-  },
-});
-
-// Parse command line arguments
-const args = process.argv.slice(2);
-const runTokens = args.includes('--tokens') || args.length === 0;
-const runHistory = args.includes('--history') || args.length === 0;
-const runTasks = args.includes('--tasks') || args.length === 0;
+// Without scenario options, all scenarios run
+const { options } = parseCommandArgs('simulate');
+const runAll = !options.tokens && !options.history && !options.tasks;
+const runTokens = runAll || Boolean(options.tokens);
+const runHistory = runAll || Boolean(options.history);
+const runTasks = runAll || Boolean(options.tasks);
 
-/**
- * Delay helper
- */
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const api = createRestClient();
 
 /**
  * Get process definitions
  */
 async function getProcessDefinitions() {
   try {
-    const response = await api.get('/process-definition', { params: { latestVersion: true } });
-    return response.data;
+    return await api.getProcessDefinitions();
   } catch (error) {
     console.error('Failed to get process definitions:', error.message);
     return [];
@@ -71,25 +49,9 @@ async function getProcessDefinitions() {
  */
 async function startProcess(processKey, variables = {}, businessKey = null) {
   try {
-    const payload = {
-      variables: Object.fromEntries(
-        Object.entries(variables).map(([key, value]) => {
-          let type = 'String';
-          if (typeof value === 'number') type = Number.isInteger(value) ? 'Integer' : 'Double';
-          if (typeof value === 'boolean') type = 'Boolean';
-          return [key, { value, type }];
-        })
-      ),
-    };
-
-    if (businessKey) {
-      payload.businessKey = businessKey;
-    }
-
-    const response = await api.post(`/process-definition/key/${processKey}/start`, payload);
-    return response.data;
+    return await api.startProcess(processKey, variables, businessKey);
   } catch (error) {
-    console.error(`Failed to start ${processKey}:`, error.response?.data?.message || error.message);
+    console.error(`Failed to start ${processKey}:`, error.message);
     return null;
   }
 }
@@ -99,10 +61,7 @@ async function startProcess(processKey, variables = {}, businessKey = null) {
  */
 async function getTasksForInstance(processInstanceId) {
   try {
-    const response = await api.get('/task', {
-      params: { processInstanceId },
-    });
-    return response.data;
+    return await api.getTasks({ processInstanceId });
   } catch {
     return [];
   }
@@ -113,22 +72,10 @@ async function getTasksForInstance(processInstanceId) {
  */
 async function completeTask(taskId, variables = {}) {
   try {
-    await api.post(`/task/${taskId}/complete`, {
-      variables: Object.fromEntries(
-        Object.entries(variables).map(([key, value]) => {
-          let type = 'String';
-          if (typeof value === 'boolean') type = 'Boolean';
-          if (typeof value === 'number') type = Number.isInteger(value) ? 'Integer' : 'Double';
-          return [key, { value, type }];
-        })
-      ),
-    });
+    await api.completeTask(taskId, variables);
     return true;
   } catch (error) {
-    console.error(
-      `Failed to complete task ${taskId}:`,
-      error.response?.data?.message || error.message
-    );
+    console.error(`Failed to complete task ${taskId}:`, error.message);
     return false;
   }
 }
@@ -138,7 +85,7 @@ async function completeTask(taskId, variables = {}) {
  */
 async function _claimTask(taskId, userId) {
   try {
-    await api.post(`/task/${taskId}/claim`, { userId });
+    await api.claimTask(taskId, userId);
     return true;
   } catch {
     return false;
@@ -162,8 +109,7 @@ async function setTaskDueDate(taskId, dueDate) {
  */
 async function getActivityInstances(processInstanceId) {
   try {
-    const response = await api.get(`/process-instance/${processInstanceId}/activity-instances`);
-    return response.data;
+    return await api.get(`/process-instance/${processInstanceId}/activity-instances`);
   } catch {
     return null;
   }
@@ -229,8 +175,6 @@ async function simulateTokenPositions() {
     const instance = await startProcess('invoice', scenario.variables, scenario.businessKey);
     if (!instance) continue;
 
-    await delay(500);
-
     // If we need to complete tasks to reach a certain point
     if (scenario.completeFirst) {
       const tasks = await getTasksForInstance(instance.id);
@@ -241,7 +185,6 @@ async function simulateTokenPositions() {
     }
 
     // Verify token position
-    await delay(300);
     const activities = await getActivityInstances(instance.id);
     if (activities) {
       const activeActivities = findActiveActivities(activities);
@@ -323,13 +266,10 @@ async function simulateHistoryData() {
       const instance = await startProcess('invoice', variables, `HISTORY-${completedCount}`);
       if (!instance) continue;
 
-      await delay(400);
-
       // Get and complete first task (Approve Invoice)
       let tasks = await getTasksForInstance(instance.id);
       if (tasks.length > 0) {
         await completeTask(tasks[0].id, { approved: scenario.approved });
-        await delay(300);
       }
 
       // If not approved, handle review
@@ -337,14 +277,12 @@ async function simulateHistoryData() {
         tasks = await getTasksForInstance(instance.id);
         if (tasks.length > 0) {
           await completeTask(tasks[0].id, { clarified: scenario.clarified || false });
-          await delay(300);
 
           // If clarified, complete the approval again
           if (scenario.clarified && scenario.thenApproved) {
             tasks = await getTasksForInstance(instance.id);
             if (tasks.length > 0) {
               await completeTask(tasks[0].id, { approved: true });
-              await delay(300);
             }
           }
         }
@@ -355,7 +293,6 @@ async function simulateHistoryData() {
         tasks = await getTasksForInstance(instance.id);
         if (tasks.length > 0) {
           await completeTask(tasks[0].id, {});
-          await delay(300);
         }
       }
 
@@ -463,8 +400,6 @@ async function simulateTaskStates() {
     );
     if (!instance) continue;
 
-    await delay(500);
-
     const tasks = await getTasksForInstance(instance.id);
 
     switch (scenario.action) {
@@ -472,7 +407,6 @@ async function simulateTaskStates() {
         // Complete approval to get to bank transfer task
         if (tasks.length > 0) {
           await completeTask(tasks[0].id, { approved: true });
-          await delay(300);
           console.log(`    ✓ Advanced to Prepare Bank Transfer (unassigned)`);
         }
         break;
@@ -519,15 +453,15 @@ async function main() {
   console.log('═'.repeat(60));
   console.log('  Operaton Simulation Scenarios');
   console.log('═'.repeat(60));
-  console.log(`\nTarget: ${config.baseUrl}`);
+  console.log(`\nTarget: ${api.baseUrl}`);
 
   // Test connection
   try {
-    await api.get('/engine');
+    await api.engines();
     console.log('✓ Connected to Operaton\n');
   } catch (error) {
     console.error('✗ Failed to connect to Operaton:', error.message);
-    process.exit(1);
+    finish({ error: error.message }, EXIT_CODES.UNREACHABLE);
   }
 
   // Run requested scenarios
@@ -543,6 +477,8 @@ async function main() {
     await simulateTaskStates();
   }
 
+  api.checkCircuit();
+
   console.log(`\n${'═'.repeat(60)}`);
   console.log('  Simulation Complete');
   console.log('═'.repeat(60));
@@ -552,9 +488,8 @@ async function main() {
   console.log('  • Tasks in various states (assigned, overdue, etc.)');
   console.log('\nRun: make capture  (to capture screenshots)');
   console.log('');
+
+  finish({ scenarios: { tokens: runTokens, history: runHistory, tasks: runTasks } });
 }
 
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+main().catch(fail);
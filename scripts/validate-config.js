@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * SPDX-License-Identifier: Apache-2.0
+ * Copyright 2025 Operaton
+ *
+ * Validate the screenshot configuration
+ *
+ * Checks config/screenshots.json (or the file or fragment directory given
+ * as argument) against the JSON schema and the cross-reference rules.
+ * Exits with 4 (invalid config) on errors.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { EXIT_CODES, fail, finish, parseCommandArgs } from './lib/cli.js';
+import { readConfig, validateConfig } from './lib/config.js';
+
+const { positionals } = parseCommandArgs('validate');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_PATH = path.resolve(
+  positionals[0] || process.env.CONFIG_PATH || path.join(__dirname, '../config/screenshots.json')
+);
+
+async function main() {
+  console.log(`Validating ${path.relative(process.cwd(), CONFIG_PATH)}\n`);
+
+  let configData;
+  try {
+    configData = await readConfig(CONFIG_PATH);
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    finish({ valid: false, errors: [error.message], warnings: [] }, EXIT_CODES.INVALID_CONFIG);
+  }
+
+  const { valid, errors, warnings } = await validateConfig(configData, {
+    baseDir: path.join(path.dirname(CONFIG_PATH), '..'),
+  });
+
+  for (const error of errors) {
+    console.error(`  ✗ ${error}`);
+  }
+  for (const warning of warnings) {
+    console.warn(`  ⚠ ${warning}`);
+  }
+
+  const summary = `${errors.length} error(s), ${warnings.length} warning(s)`;
+  if (!valid) {
+    console.error(`\n✗ Config is invalid: ${summary}`);
+    finish({ valid, errors, warnings }, EXIT_CODES.INVALID_CONFIG);
+  }
+  console.log(`\n✓ Config is valid: ${configData.screenshots.length} screenshot(s), ${summary}`);
+  finish({ valid, screenshots: configData.screenshots.length, errors, warnings });
+}
+
+main().catch(fail);